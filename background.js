@@ -17,17 +17,288 @@ const DEFAULT_BLOCKED_SITES = [
   { domain: 'reddit.com', enabled: true, name: 'Reddit' }
 ];
 
+// Site categories that can be blocked as a group. Each lists every domain
+// the sites in it use, including short links and mirrors; subdomains
+// (m.facebook.com, old.reddit.com) are covered by their domain.
+const SITE_CATEGORIES = [
+  {
+    id: 'social',
+    label: 'Social media',
+    emoji: '💬',
+    domains: [
+      'facebook.com', 'fb.com', 'fb.me', 'messenger.com', 'instagram.com', 'instagr.am',
+      'threads.net', 'twitter.com', 'x.com', 't.co', 'tiktok.com', 'snapchat.com',
+      'reddit.com', 'redd.it', 'linkedin.com', 'lnkd.in', 'pinterest.com', 'pin.it',
+      'tumblr.com', 'bsky.app', 'mastodon.social', 'discord.com', 'discord.gg'
+    ]
+  },
+  {
+    id: 'video',
+    label: 'Video & streaming',
+    emoji: '🎬',
+    domains: [
+      'youtube.com', 'youtu.be', 'youtube-nocookie.com', 'netflix.com', 'twitch.tv',
+      'vimeo.com', 'dailymotion.com', 'dai.ly', 'hulu.com', 'disneyplus.com',
+      'primevideo.com', 'max.com', 'crunchyroll.com'
+    ]
+  },
+  {
+    id: 'news',
+    label: 'News',
+    emoji: '📰',
+    domains: [
+      'news.google.com', 'news.ycombinator.com', 'cnn.com', 'bbc.com', 'bbc.co.uk',
+      'nytimes.com', 'nyti.ms', 'theguardian.com', 'washingtonpost.com', 'wapo.st',
+      'foxnews.com', 'nbcnews.com', 'reuters.com', 'apnews.com', 'huffpost.com', 'buzzfeed.com'
+    ]
+  },
+  {
+    id: 'shopping',
+    label: 'Shopping',
+    emoji: '🛒',
+    domains: [
+      'amazon.com', 'amzn.to', 'amzn.eu', 'a.co', 'ebay.com', 'ebay.us', 'etsy.com',
+      'aliexpress.com', 'temu.com', 'shein.com', 'walmart.com', 'target.com', 'bestbuy.com', 'wish.com'
+    ]
+  },
+  {
+    id: 'gaming',
+    label: 'Gaming',
+    emoji: '🎮',
+    domains: [
+      'steampowered.com', 'steamcommunity.com', 'epicgames.com', 'roblox.com', 'itch.io',
+      'ign.com', 'gamespot.com', 'chess.com', 'lichess.org', 'poki.com', 'crazygames.com', 'miniclip.com'
+    ]
+  }
+];
+
+const DEFAULT_VOLUME_TIERS = [
+  { minDb: -50, maxDb: -35, duration: 30, label: 'Whisper', emoji: '🤫' },
+  { minDb: -35, maxDb: -25, duration: 60, label: 'Quiet', emoji: '😶' },
+  { minDb: -25, maxDb: -15, duration: 120, label: 'Normal', emoji: '🗣️' },
+  { minDb: -15, maxDb: -5, duration: 300, label: 'Loud', emoji: '📢' },
+  { minDb: -5, maxDb: 0, duration: 600, label: 'SHOUTING!', emoji: '🔊' }
+];
+
+// Built-in random phrases. {site} is the blocked site's name, {goal} one of
+// settings.goals. tierBonus moves the unlock that many tiers up.
+const DEFAULT_PHRASE_POOL = [
+  { text: "i'm a loser", tierBonus: 0 },
+  { text: 'i am choosing {site} over my {goal}', tierBonus: 0 },
+  { text: 'i have no self control and {site} owns me', tierBonus: 1 },
+  { text: 'my {goal} can wait because {site} matters more than my future', tierBonus: 2 }
+];
+
 const DEFAULT_SETTINGS = {
   enabled: true,
+  // Phrase for languages without their own entry in phrases
   unlockPhrase: "i'm a loser",
+  // Speech recognition language (BCP 47, e.g. 'en-US')
+  locale: 'en-US',
+  // Phrases for other languages: { locale, phrase }. The overlay lets the
+  // user pick any of these languages before listening.
+  phrases: [],
+  // Pick a random phrase from phrasePool for each attempt instead of the
+  // fixed phrase (in the recognition language only)
+  randomPhrase: false,
+  phrasePool: DEFAULT_PHRASE_POOL,
+  // What the user should be doing instead, for the {goal} placeholder
+  goals: ['work'],
+  // Block rules. Each has a type (see matchesRule, default 'domain'); for
+  // non-domain rules the domain field holds the pattern. It also keys unlock timers.
   blockedSites: DEFAULT_BLOCKED_SITES,
-  // Volume thresholds and corresponding unlock times (in seconds)
-  volumeThresholds: {
-    quiet: { maxDb: -35, unlockTime: 30 },      // Whisper
-    medium: { maxDb: -20, unlockTime: 120 },    // Normal voice
-    loud: { maxDb: -10, unlockTime: 300 },      // Loud voice
-    veryLoud: { maxDb: 0, unlockTime: 600 }     // Shouting
-  }
+  // Exceptions that are never blocked, in the same format. Allow rules win.
+  allowRules: [],
+  // Categories from SITE_CATEGORIES: { id, enabled, exceptions }. Enabled
+  // categories block each of their domains except those in exceptions.
+  blockedCategories: [],
+  // Volume tiers (dB range) and corresponding unlock times (in seconds).
+  // Ranges must be contiguous: each tier's minDb is the previous tier's maxDb.
+  // Once calibrated, levels are relative to the user's normal speaking level,
+  // which reads as NORMAL_SPEECH_LEVEL in content.js (the middle of "Normal").
+  volumeTiers: DEFAULT_VOLUME_TIERS,
+  // Measured loudness of the user's normal speaking voice (dBFS), or null
+  // before calibration, when levels are used as measured
+  calibrationDb: null,
+  // What happens when an unlock sounds like a recording played back:
+  // 'off', 'lowestTier' (unlock, but only for the quietest tier's time) or
+  // 'refuse'. Unless 'off', the overlay also adds a random challenge word.
+  antiCheat: 'lowestTier',
+  // How sites can be unlocked (see UNLOCK_METHODS). Sites can set their own
+  // unlockMethods instead.
+  unlockMethods: ['voice'],
+  // Tier rank (0 = quietest) each method other than voice earns
+  methodTiers: { confession: 2, cooldown: 0, arithmetic: 1, typing: 1 },
+  // How long the 'cooldown' method makes the user wait with the tab focused
+  cooldownSeconds: 300,
+  // How long a visit to a blocked site would have lasted, used for "time saved"
+  estimatedVisitMinutes: 10,
+  // Redirect blocked sites at the network level instead of only overlaying them
+  hardBlock: false,
+  // Block every website except allowRules, instead of only blockedSites.
+  // Each host is then unlocked on its own (see getAllowOnlySite).
+  allowOnly: false,
+  // Global blocking windows, used by sites without their own schedule.
+  // Each window: { days: [0-6, Sunday = 0], start: 'HH:MM', end: 'HH:MM' }.
+  // No windows means always blocked.
+  schedule: [],
+  // Minutes of unlocked time allowed per day across all sites (0 = unlimited).
+  // Sites can set their own dailyBudgetMinutes on top of this.
+  dailyBudgetMinutes: 0,
+  // What each extra unlock of the same site costs on the same day:
+  // 'none', 'louder' (one tier louder), 'longerPhrase' (say it once more)
+  // or 'shorter' (half the time of the previous unlock)
+  escalationMode: 'none',
+  // Fraction of the phrase's words that must be heard, in order, to unlock
+  // (1 = every word, down to MIN_MATCH_THRESHOLD)
+  phraseMatchThreshold: 1,
+  // Minutes that changes loosening the blocker wait in the pending queue
+  // before they apply, unless confirmed by voice (0 = apply at once)
+  tamperDelayMinutes: 0,
+  // Seconds before an unlock ends at which the page's countdown warns the
+  // user (and a notification does, if warningNotifications is on)
+  expiryWarnings: [60, 10],
+  warningNotifications: false,
+  // Seconds an ended unlock keeps running once, to finish what was open (0 = none)
+  gracePeriodSeconds: 0,
+  // What an unlock lets through (see UNLOCK_SCOPES)
+  unlockScope: 'domain'
+};
+
+const ESCALATION_MODES = ['none', 'louder', 'longerPhrase', 'shorter'];
+
+const ANTI_CHEAT_MODES = ['off', 'lowestTier', 'refuse'];
+
+// Level a calibrated normal voice reads as (NORMAL_SPEECH_LEVEL in content.js)
+const NORMAL_SPEECH_LEVEL = -20;
+
+// Ways to unlock a site: say the phrase, type a confession without pasting,
+// wait with the tab focused, solve sums, or pass a typing test
+const UNLOCK_METHODS = ['voice', 'confession', 'cooldown', 'arithmetic', 'typing'];
+
+// What an unlock lets through: the unlocked site in the tab it was unlocked
+// in only, in every tab, or every blocked site in every tab
+const UNLOCK_SCOPES = ['tab', 'domain', 'global'];
+
+// Allowed range for cooldownSeconds
+const MIN_COOLDOWN_SECONDS = 10;
+const MAX_COOLDOWN_SECONDS = 3600;
+
+// Longest estimated visit (minutes) for the time saved figure
+const MAX_VISIT_MINUTES = 24 * 60;
+// Timer slack allowed when checking that a cooldown ran its full length (ms)
+const COOLDOWN_TOLERANCE_MS = 1000;
+// Cooldowns started longer ago than this are forgotten (ms)
+const COOLDOWN_START_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Playback detection (see assessLiveness)
+const MAX_CLIPPED_RATIO = 0.2;
+const MIN_CREST_DB = 7;
+const MIN_DYNAMIC_RANGE_DB = 6;
+const REPLAY_SIMILARITY = 0.97;
+const MIN_FINGERPRINT_SAMPLES = 10;
+const FINGERPRINT_LIMIT = 20;
+
+// Upper bound on how many times the phrase must be repeated under 'longerPhrase'
+const MAX_PHRASE_REPEATS = 5;
+
+// Placeholders allowed in phrasePool templates, and the largest tier bonus
+const PHRASE_PLACEHOLDERS = ['site', 'goal'];
+const MAX_TIER_BONUS = 3;
+
+// Most lenient phrase match threshold allowed
+const MIN_MATCH_THRESHOLD = 0.5;
+
+// BCP 47 language tag as accepted by the speech API (e.g. 'de', 'pt-BR', 'zh-Hant-TW')
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[A-Za-z]{4})?(-[A-Z]{2}|-\d{3})?$/;
+
+// Extension page that hosts the voice unlock UI for hard-blocked requests
+const BLOCKED_PAGE_PATH = 'blocked/blocked.html';
+
+// Dynamic rule id ranges (see syncBlockRules)
+const ALLOW_RULE_ID_BASE = 100000;
+const USER_ALLOW_RULE_ID_BASE = 200000;
+const GLOBAL_ALLOW_RULE_ID = 300000;
+
+// Session rule ids, for per-tab unlocks (only session rules can match tab ids)
+const TAB_ALLOW_RULE_ID_BASE = 100000;
+
+// Rule types from least to most specific; the most specific matching block rule wins
+const RULE_TYPES = ['domain', 'prefix', 'wildcard', 'regex'];
+
+// Block rule matching every website, used for hard blocking in allow-only mode
+const ALLOW_ONLY_RULE = { domain: '*', type: 'wildcard' };
+
+// Only web pages are blocked in allow-only mode; browser and extension pages never are
+const WEB_PROTOCOLS = ['http:', 'https:'];
+
+// Offscreen document that runs the microphone and speech recognition
+const OFFSCREEN_PATH = 'offscreen/offscreen.html';
+
+// Extension page that asks for microphone access once for the whole extension
+const MIC_PERMISSION_PATH = 'permission/permission.html';
+
+// Port names: overlays listening for a voice unlock, and the offscreen document
+const VOICE_PORT_NAME = 'voice-unlock';
+const OFFSCREEN_PORT_NAME = 'offscreen';
+
+// Fires whenever a schedule window starts or ends
+const SCHEDULE_ALARM = 'schedule_boundary';
+
+// Alarms that end an unlock, followed by its unlockTimers key
+const REBLOCK_ALARM_PREFIX = 'reblock_';
+
+// unlockTimers keys besides a rule's domain: one tab's unlock of a rule is
+// tab:<tabId>:<domain>, and an unlock of every site is GLOBAL_UNLOCK_KEY
+const TAB_UNLOCK_PREFIX = 'tab:';
+const GLOBAL_UNLOCK_KEY = '<all sites>';
+
+// Alarms that warn an unlock is about to end: warn_<seconds>_<unlockTimers key>
+const WARNING_ALARM_PREFIX = 'warn_';
+
+// Limits for expiryWarnings (seconds before the end) and gracePeriodSeconds
+const MAX_EXPIRY_WARNINGS = 5;
+const MAX_WARNING_SECONDS = 30 * 60;
+const MAX_GRACE_SECONDS = 5 * 60;
+
+// Fires when a focus session ends
+const FOCUS_ALARM = 'focus_session_end';
+
+// Allowed focus session length (minutes)
+const MIN_FOCUS_MINUTES = 5;
+const MAX_FOCUS_MINUTES = 12 * 60;
+
+// Alarms that apply a pending settings change, followed by the change id
+const PENDING_ALARM_PREFIX = 'pending_';
+
+// Longest allowed tamper protection delay (minutes)
+const MAX_TAMPER_DELAY_MINUTES = 24 * 60;
+
+// How long a spoken confirmation can be used to apply a pending change (ms)
+const VOICE_CONFIRMATION_MS = 30 * 1000;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// How many days of per-day stats and how many raw events to keep
+const STATS_RETENTION_DAYS = 30;
+const STATS_HISTORY_LIMIT = 200;
+
+// Export file identifier and format version (bump when the format changes)
+const EXPORT_FORMAT = 'distraction-blocker';
+const EXPORT_VERSION = 1;
+
+// Shape of the items in list settings, checked before importing them
+const IMPORT_ITEM_TYPES = {
+  blockedSites: { domain: 'string' },
+  allowRules: { domain: 'string' },
+  phrases: { locale: 'string', phrase: 'string' },
+  phrasePool: { text: 'string', tierBonus: 'number' },
+  goals: 'string',
+  volumeTiers: { minDb: 'number', maxDb: 'number', duration: 'number' },
+  schedule: { days: 'array', start: 'string', end: 'string' },
+  blockedCategories: { id: 'string', enabled: 'boolean', exceptions: 'array' },
+  unlockMethods: 'string',
+  expiryWarnings: 'number'
 };
 
 // ============================================================================
@@ -46,269 +317,3139 @@ chrome.runtime.onInstalled.addListener(async (details) => {
   if (!existing.settings) {
     await chrome.storage.local.set({ 
       settings: DEFAULT_SETTINGS,
-      unlockTimers: {} // { domain: { unlockedUntil: timestamp } }
+      unlockTimers: {} // { key: { unlockedUntil, unlockedAt, domain } } (see getUnlockKey)
     });
     console.log('[Blocker] Default settings initialized');
   }
   
-  // Clean up any expired timers
-  await cleanupExpiredTimers();
+  await syncBlockRules();
+  await scheduleNextBoundaryAlarm();
+  await restoreFocusSession();
+  await restorePendingChanges();
 });
 
 /**
- * Clean up expired unlock timers
+ * Re-arm the schedule and focus session alarms when the browser starts
  */
-async function cleanupExpiredTimers() {
-  const { unlockTimers = {} } = await chrome.storage.local.get('unlockTimers');
-  const now = Date.now();
-  let hasChanges = false;
-  
-  for (const domain in unlockTimers) {
-    if (unlockTimers[domain].unlockedUntil <= now) {
-      delete unlockTimers[domain];
-      hasChanges = true;
-    }
-  }
-  
-  if (hasChanges) {
-    await chrome.storage.local.set({ unlockTimers });
-  }
-}
+chrome.runtime.onStartup.addListener(async () => {
+  await syncBlockRules();
+  await scheduleNextBoundaryAlarm();
+  await restoreFocusSession();
+  await restorePendingChanges();
+});
 
 // ============================================================================
-// BLOCKING LOGIC
+// UNLOCK TIMERS
 // ============================================================================
 
+// unlockTimers in storage is the only record of what is unlocked. Each entry
+// has a reblock_ alarm; both are rebuilt whenever the service worker starts.
+// Entries are keyed by getUnlockKey and name the unlocked rule in domain.
+
+// Serializes unlockTimers writes so an unlock and an expiry can't overwrite each other
+let timerWriteQueue = Promise.resolve();
+
 /**
- * Check if a URL matches any blocked domain
+ * Read, change and store unlockTimers, one update at a time.
+ * Resolves to whatever update returns.
  */
-function getBlockedDomain(url, blockedSites) {
-  try {
-    const urlObj = new URL(url);
-    const hostname = urlObj.hostname.toLowerCase();
+function updateUnlockTimers(update) {
+  const result = timerWriteQueue.then(async () => {
+    const { unlockTimers = {} } = await chrome.storage.local.get('unlockTimers');
+    const value = update(unlockTimers);
+    await chrome.storage.local.set({ unlockTimers });
+    return value;
+  });
+  
+  timerWriteQueue = result.catch((e) => console.error('[Blocker] Failed to update unlock timers:', e));
+  return result;
+}
+
+/**
+ * unlockTimers key for unlocking a rule in the given scope (see UNLOCK_SCOPES).
+ * Per-tab unlocks need the tab's id.
+ */
+function getUnlockKey(scope, domain, tabId) {
+  switch (scope) {
+    case 'tab':
+      return `${TAB_UNLOCK_PREFIX}${tabId}:${domain}`;
     
-    for (const site of blockedSites) {
-      if (!site.enabled) continue;
-      
-      // Match domain and subdomains
-      if (hostname === site.domain || hostname.endsWith('.' + site.domain)) {
-        return site.domain;
-      }
-    }
-  } catch (e) {
-    // Invalid URL
+    case 'global':
+      return GLOBAL_UNLOCK_KEY;
+    
+    default:
+      return domain;
   }
-  return null;
 }
 
 /**
- * Check if a domain is currently unlocked
+ * Split an unlockTimers key into { scope, tabId }
  */
-async function isDomainUnlocked(domain) {
-  const { unlockTimers = {} } = await chrome.storage.local.get('unlockTimers');
-  const timer = unlockTimers[domain];
-  
-  if (timer && timer.unlockedUntil > Date.now()) {
-    return {
-      unlocked: true,
-      remainingTime: Math.ceil((timer.unlockedUntil - Date.now()) / 1000)
-    };
+function parseUnlockKey(key) {
+  if (key === GLOBAL_UNLOCK_KEY) {
+    return { scope: 'global', tabId: null };
   }
   
-  return { unlocked: false, remainingTime: 0 };
+  const match = key.startsWith(TAB_UNLOCK_PREFIX) && key.slice(TAB_UNLOCK_PREFIX.length).match(/^(\d+):/);
+  return match ? { scope: 'tab', tabId: parseInt(match[1]) } : { scope: 'domain', tabId: null };
 }
 
 /**
- * Check if a tab should be blocked
+ * Find the running unlock that lets a rule through in a tab: the rule's own,
+ * the tab's or a global one, whichever ends last. Returns { key, timer } or null.
  */
-async function shouldBlockTab(url) {
-  const { settings } = await chrome.storage.local.get('settings');
-  
-  if (!settings || !settings.enabled) {
-    return { shouldBlock: false };
+function findUnlockTimer(unlockTimers, domain, tabId = null) {
+  const keys = [domain, GLOBAL_UNLOCK_KEY];
+  if (tabId !== null) {
+    keys.push(getUnlockKey('tab', domain, tabId));
   }
   
-  const blockedDomain = getBlockedDomain(url, settings.blockedSites);
+  let found = null;
+  for (const key of keys) {
+    const timer = unlockTimers[key];
+    if (timer && timer.unlockedUntil > Date.now() && (!found || timer.unlockedUntil > found.timer.unlockedUntil)) {
+      found = { key, timer };
+    }
+  }
+  return found;
+}
+
+/**
+ * Make sure an unlock's reblock_ alarm fires when it ends
+ */
+async function armReblockAlarm(key, unlockedUntil) {
+  const name = REBLOCK_ALARM_PREFIX + key;
+  const alarm = await chrome.alarms.get(name);
   
-  if (!blockedDomain) {
-    return { shouldBlock: false };
+  if (!alarm || alarm.scheduledTime !== unlockedUntil) {
+    await chrome.alarms.create(name, { when: unlockedUntil });
+    await armWarningAlarms(key, unlockedUntil);
   }
+}
+
+/**
+ * Arm one alarm per expiry warning still ahead, replacing those armed for an
+ * earlier end time. Only needed for notifications; pages warn on their own.
+ */
+async function armWarningAlarms(key, unlockedUntil) {
+  await clearWarningAlarms(key);
   
-  const unlockStatus = await isDomainUnlocked(blockedDomain);
+  const settings = await getSettings();
+  if (!settings.warningNotifications) return;
   
-  return {
-    shouldBlock: !unlockStatus.unlocked,
-    domain: blockedDomain,
-    remainingTime: unlockStatus.remainingTime
-  };
+  for (const seconds of settings.expiryWarnings) {
+    const when = unlockedUntil - (seconds * 1000);
+    if (when > Date.now()) {
+      await chrome.alarms.create(`${WARNING_ALARM_PREFIX}${seconds}_${key}`, { when });
+    }
+  }
 }
 
-// ============================================================================
-// TAB MONITORING
-// ============================================================================
-
 /**
- * Monitor navigation events to detect blocked sites
+ * Re-arm the warning alarms of every running unlock, after the warning
+ * settings may have changed
  */
-chrome.webNavigation.onCommitted.addListener(async (details) => {
-  // Only handle main frame navigation
-  if (details.frameId !== 0) return;
-  
-  const blockStatus = await shouldBlockTab(details.url);
+async function rearmWarningAlarms() {
+  const { unlockTimers = {} } = await chrome.storage.local.get('unlockTimers');
   
-  if (blockStatus.shouldBlock) {
-    // Notify content script to show overlay
-    try {
-      await chrome.tabs.sendMessage(details.tabId, {
-        action: 'showBlockOverlay',
-        domain: blockStatus.domain
-      });
-    } catch (e) {
-      // Content script might not be ready yet
-      console.log('[Blocker] Could not send message to tab:', e.message);
+  for (const [key, timer] of Object.entries(unlockTimers)) {
+    if (timer.unlockedUntil > Date.now()) {
+      await armWarningAlarms(key, timer.unlockedUntil);
     }
   }
-});
+}
 
 /**
- * Monitor tab updates (for SPA navigation)
+ * Clear an unlock's expiry warning alarms
  */
-chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
-  if (changeInfo.status !== 'complete' || !tab.url) return;
+async function clearWarningAlarms(key) {
+  for (const alarm of await chrome.alarms.getAll()) {
+    const warning = parseWarningAlarm(alarm.name);
+    if (warning && warning.key === key) {
+      await chrome.alarms.clear(alarm.name);
+    }
+  }
+}
+
+/**
+ * Split a warning alarm's name into { seconds, key }, or null for other alarms
+ */
+function parseWarningAlarm(name) {
+  const match = name.startsWith(WARNING_ALARM_PREFIX) &&
+    name.slice(WARNING_ALARM_PREFIX.length).match(/^(\d+)_(.+)$/);
+  return match ? { seconds: parseInt(match[1]), key: match[2] } : null;
+}
+
+/**
+ * Tell the user an unlock is about to end, if notifications are on and allowed
+ */
+async function showExpiryWarning(key) {
+  const settings = await getSettings();
+  const { unlockTimers = {} } = await chrome.storage.local.get('unlockTimers');
+  const timer = unlockTimers[key];
+  if (!timer || timer.unlockedUntil <= Date.now() || !settings.warningNotifications || !chrome.notifications) return;
   
-  const blockStatus = await shouldBlockTab(tab.url);
+  const remainingTime = Math.ceil((timer.unlockedUntil - Date.now()) / 1000);
+  const what = key === GLOBAL_UNLOCK_KEY ? 'Every site' : timer.domain || key;
+  const left = remainingTime >= 60
+    ? `${Math.round(remainingTime / 60)} min`
+    : `${remainingTime} seconds`;
   
   try {
-    await chrome.tabs.sendMessage(tabId, {
-      action: blockStatus.shouldBlock ? 'showBlockOverlay' : 'hideBlockOverlay',
-      domain: blockStatus.domain,
-      remainingTime: blockStatus.remainingTime
+    await chrome.notifications.create(WARNING_ALARM_PREFIX + key, {
+      type: 'basic',
+      iconUrl: 'icons/icon128.png',
+      title: 'Unlock ending soon',
+      message: `${what} will be blocked again in ${left}.`
     });
   } catch (e) {
-    // Ignore errors for tabs where content script isn't loaded
+    console.warn('[Blocker] Could not show expiry warning:', e.message);
   }
-});
-
-// ============================================================================
-// MESSAGE HANDLING
-// ============================================================================
+}
 
 /**
- * Handle messages from content scripts and popup
+ * End an unlock whose time is up and block its tabs again. An unlock that
+ * was renewed in the meantime gets its alarm re-armed instead, and one that
+ * just ended first runs on for the grace period.
  */
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  handleMessage(message, sender).then(sendResponse);
-  return true; // Keep channel open for async response
-});
-
-async function handleMessage(message, sender) {
-  switch (message.action) {
-    case 'checkBlocked':
-      return await shouldBlockTab(message.url);
-      
-    case 'unlockSite':
-      return await unlockSite(message.domain, message.duration);
-      
-    case 'getSettings':
-      const { settings } = await chrome.storage.local.get('settings');
-      return settings || DEFAULT_SETTINGS;
-      
-    case 'saveSettings':
-      await chrome.storage.local.set({ settings: message.settings });
-      return { success: true };
-      
-    case 'getUnlockStatus':
-      return await isDomainUnlocked(message.domain);
-      
-    case 'getRemainingTime':
-      const status = await isDomainUnlocked(message.domain);
-      return { remainingTime: status.remainingTime };
-      
-    default:
-      return { error: 'Unknown action' };
+async function expireUnlock(key) {
+  const now = Date.now();
+  const { gracePeriodSeconds } = await getSettings();
+  
+  const { timer, graceStarted } = await updateUnlockTimers(unlockTimers => {
+    const timer = unlockTimers[key];
+    if (!timer || timer.unlockedUntil > now) return { timer };
+    
+    // Counted from the original end, so an end missed while the browser
+    // was closed gets no grace
+    const graceUntil = timer.unlockedUntil + (gracePeriodSeconds * 1000);
+    if (!timer.grace && graceUntil > now) {
+      unlockTimers[key] = { ...timer, unlockedUntil: graceUntil, grace: true };
+      return { timer: unlockTimers[key], graceStarted: true };
+    }
+    
+    delete unlockTimers[key];
+    return { timer };
+  });
+  
+  // Already expired through another path
+  if (!timer) return;
+  
+  // Timers from before unlock scopes have only their key
+  const domain = timer.domain || key;
+  
+  if (timer.unlockedUntil > now) {
+    await armReblockAlarm(key, timer.unlockedUntil);
+    
+    if (graceStarted) {
+      console.log(`[Blocker] ${key} in its grace period until ${new Date(timer.unlockedUntil).toLocaleTimeString()}`);
+      await syncUnlockTabs(key, domain);
+    }
+    return;
   }
+  
+  console.log(`[Blocker] Timer expired for ${key}, re-blocking`);
+  await reblockUnlock(key, domain);
 }
 
 /**
- * Unlock a site for a specified duration
+ * End an unlock early, at the user's request
  */
-async function unlockSite(domain, durationSeconds) {
-  const { unlockTimers = {} } = await chrome.storage.local.get('unlockTimers');
+async function lockSite(key) {
+  const timer = await updateUnlockTimers(unlockTimers => {
+    const timer = unlockTimers[key];
+    delete unlockTimers[key];
+    return timer;
+  });
   
-  unlockTimers[domain] = {
-    unlockedUntil: Date.now() + (durationSeconds * 1000),
-    unlockedAt: Date.now()
-  };
+  if (!timer) {
+    return { success: false, error: 'This site is not unlocked' };
+  }
   
-  await chrome.storage.local.set({ unlockTimers });
+  await chrome.alarms.clear(REBLOCK_ALARM_PREFIX + key);
+  await clearWarningAlarms(key);
   
-  // Set an alarm to re-block the site when timer expires
-  chrome.alarms.create(`reblock_${domain}`, {
-    when: Date.now() + (durationSeconds * 1000)
-  });
+  console.log(`[Blocker] ${key} locked early`);
+  await reblockUnlock(key, timer.domain || key);
+  
+  return { success: true };
+}
+
+/**
+ * Key of the unlock letting a rule through in a tab, or null if it is locked
+ */
+async function getTabUnlockKey(domain, tabId) {
+  const { unlockTimers = {} } = await chrome.storage.local.get('unlockTimers');
+  const found = findUnlockTimer(unlockTimers, domain, tabId);
+  return found ? found.key : null;
+}
+
+/**
+ * Block what an unlock let through again once it has ended
+ */
+async function reblockUnlock(key, domain) {
+  await removeAllowRule(key);
+  await recordStatsEvent({ type: 'unlockExpired', domain });
   
-  console.log(`[Blocker] ${domain} unlocked for ${durationSeconds} seconds`);
+  // Tabs show the overlay again, unless another unlock still covers them
+  await syncUnlockTabs(key, domain);
+}
+
+/**
+ * Drop the unlocks of closed tabs
+ */
+async function dropTabUnlocks(tabIds) {
+  const keys = await updateUnlockTimers(unlockTimers => {
+    const dropped = Object.keys(unlockTimers).filter(key => tabIds.includes(parseUnlockKey(key).tabId));
+    dropped.forEach(key => delete unlockTimers[key]);
+    return dropped;
+  });
   
-  // Notify all tabs with this domain to hide overlay
-  await notifyTabsForDomain(domain, 'hideBlockOverlay', durationSeconds);
+  for (const key of keys) {
+    await chrome.alarms.clear(REBLOCK_ALARM_PREFIX + key);
+    await clearWarningAlarms(key);
+  }
   
-  return { 
-    success: true, 
-    unlockedUntil: unlockTimers[domain].unlockedUntil,
-    duration: durationSeconds
-  };
+  if (keys.length > 0) {
+    await syncBlockRules();
+  }
 }
 
 /**
- * Notify all tabs matching a domain
+ * Rebuild timer state from storage: expire unlocks that ended while the
+ * worker was suspended or the browser closed, re-arm alarms for the rest and
+ * drop alarms left over from unlocks that no longer exist
  */
-async function notifyTabsForDomain(domain, action, remainingTime = 0) {
-  const tabs = await chrome.tabs.query({});
+async function restoreUnlockTimers() {
+  // Tab ids don't survive a browser restart, so those unlocks are gone too
+  const openTabIds = (await chrome.tabs.query({})).map(tab => tab.id);
+  const { unlockTimers: stored = {} } = await chrome.storage.local.get('unlockTimers');
+  const closedTabIds = Object.keys(stored)
+    .map(key => parseUnlockKey(key).tabId)
+    .filter(tabId => tabId !== null && !openTabIds.includes(tabId));
+  if (closedTabIds.length > 0) {
+    await dropTabUnlocks(closedTabIds);
+  }
   
-  for (const tab of tabs) {
-    if (tab.url) {
-      const { settings } = await chrome.storage.local.get('settings');
-      const tabDomain = getBlockedDomain(tab.url, settings.blockedSites);
-      
-      if (tabDomain === domain) {
-        try {
-          await chrome.tabs.sendMessage(tab.id, { 
-            action, 
-            domain,
-            remainingTime 
-          });
-        } catch (e) {
-          // Ignore
-        }
-      }
+  const { unlockTimers = {} } = await chrome.storage.local.get('unlockTimers');
+  
+  for (const [key, timer] of Object.entries(unlockTimers)) {
+    if (timer.unlockedUntil <= Date.now()) {
+      await expireUnlock(key);
+    } else {
+      await armReblockAlarm(key, timer.unlockedUntil);
+    }
+  }
+  
+  for (const alarm of await chrome.alarms.getAll()) {
+    const warning = parseWarningAlarm(alarm.name);
+    if (!warning && !alarm.name.startsWith(REBLOCK_ALARM_PREFIX)) continue;
+    
+    const key = warning ? warning.key : alarm.name.slice(REBLOCK_ALARM_PREFIX.length);
+    if (!unlockTimers[key]) {
+      await chrome.alarms.clear(alarm.name);
     }
   }
 }
 
 // ============================================================================
-// ALARM HANDLING (Re-blocking after unlock expires)
+// BLOCKING LOGIC
 // ============================================================================
 
-chrome.alarms.onAlarm.addListener(async (alarm) => {
-  if (alarm.name.startsWith('reblock_')) {
-    const domain = alarm.name.replace('reblock_', '');
-    console.log(`[Blocker] Timer expired for ${domain}, re-blocking`);
+/**
+ * Find the block rule matching a URL, unless an allow rule matches it.
+ * When several block rules match, the most specific one wins.
+ */
+function getBlockedSite(url, settings) {
+  try {
+    const urlObj = new URL(url);
     
-    // Clean up the timer
-    const { unlockTimers = {} } = await chrome.storage.local.get('unlockTimers');
-    delete unlockTimers[domain];
-    await chrome.storage.local.set({ unlockTimers });
+    const allowed = settings.allowRules.some(rule =>
+      rule.enabled !== false && matchesRule(urlObj, rule)
+    );
+    if (allowed) return null;
+    
+    if (settings.allowOnly) {
+      return getAllowOnlySite(urlObj);
+    }
+    
+    const matches = getBlockRules(settings).filter(site =>
+      site.enabled && matchesRule(urlObj, site)
+    );
+    
+    return matches.sort((a, b) => getRuleSpecificity(b) - getRuleSpecificity(a))[0] || null;
+  } catch (e) {
+    // Invalid URL
+  }
+  return null;
+}
+
+/**
+ * All block rules: the user's own, then one domain rule per domain of each
+ * enabled category that the user's enabled rules don't already cover.
+ */
+function getBlockRules(settings) {
+  const listed = new Set(settings.blockedSites.filter(site => site.enabled).map(site => site.domain));
+  const rules = [...settings.blockedSites];
+  
+  for (const entry of settings.blockedCategories) {
+    const category = SITE_CATEGORIES.find(c => c.id === entry.id);
+    if (!entry.enabled || !category) continue;
     
-    // Notify tabs to show overlay again
-    await notifyTabsForDomain(domain, 'showBlockOverlay');
+    for (const domain of category.domains) {
+      if (listed.has(domain) || entry.exceptions.includes(domain)) continue;
+      
+      listed.add(domain);
+      rules.push({ domain, name: domain, enabled: true, category: category.id });
+    }
+  }
+  
+  return rules;
+}
+
+/**
+ * In allow-only mode every web page not allowed is blocked. Pages get a
+ * domain rule for their host (without www.), which keys their unlock timer
+ * and reblock_ alarm like a block rule's domain would.
+ */
+function getAllowOnlySite(urlObj) {
+  if (!WEB_PROTOCOLS.includes(urlObj.protocol)) return null;
+  
+  const host = urlObj.hostname.toLowerCase().replace(/^www\./, '');
+  return { domain: host, name: host, enabled: true };
+}
+
+/**
+ * Check if a URL matches any block rule, returning the rule's key
+ */
+function getBlockedDomain(url, settings) {
+  const site = getBlockedSite(url, settings);
+  return site ? site.domain : null;
+}
+
+/**
+ * Check if a URL matches a rule. Rule types:
+ *   domain   - the domain and its subdomains (youtube.com)
+ *   prefix   - domain plus path prefix (youtube.com/shorts)
+ *   wildcard - glob over host and path (*.reddit.com/r/all*)
+ *   regex    - regular expression tested against the full URL
+ */
+function matchesRule(urlObj, rule) {
+  const hostname = urlObj.hostname.toLowerCase();
+  
+  switch (rule.type || 'domain') {
+    case 'prefix': {
+      const { host, path } = splitPrefixPattern(rule.domain);
+      return matchesHost(hostname, host) && urlObj.pathname.startsWith(path);
+    }
+    
+    case 'wildcard':
+      return new RegExp(`^${wildcardToRegex(rule.domain)}$`, 'i').test(hostname + urlObj.pathname);
+    
+    case 'regex':
+      return new RegExp(rule.domain, 'i').test(urlObj.href);
+    
+    default:
+      return matchesHost(hostname, rule.domain);
+  }
+}
+
+/**
+ * Match domain and subdomains
+ */
+function matchesHost(hostname, domain) {
+  return hostname === domain || hostname.endsWith('.' + domain);
+}
+
+/**
+ * Rank rules so path-level rules beat whole-domain ones (longer patterns first within a type)
+ */
+function getRuleSpecificity(rule) {
+  return RULE_TYPES.indexOf(rule.type || 'domain') * 10000 + rule.domain.length;
+}
+
+/**
+ * Split 'youtube.com/shorts' into its host and path prefix
+ */
+function splitPrefixPattern(pattern) {
+  const slash = pattern.indexOf('/');
+  return slash === -1
+    ? { host: pattern, path: '/' }
+    : { host: pattern.slice(0, slash), path: pattern.slice(slash) };
+}
+
+/**
+ * Convert a glob (where * matches anything) to a regex source string
+ */
+function wildcardToRegex(pattern) {
+  return pattern.split('*').map(escapeRegex).join('.*');
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Validate one block or allow rule.
+ * Returns an error message, or null if the rule is valid.
+ */
+function validateRule(rule) {
+  if (!RULE_TYPES.includes(rule.type || 'domain')) {
+    return `${rule.domain}: unknown rule type`;
+  }
+  
+  if (rule.type === 'regex') {
+    try {
+      new RegExp(rule.domain);
+    } catch (e) {
+      return `${rule.domain}: invalid regular expression`;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Check that regex rules work as declarativeNetRequest rules, whose RE2 engine
+ * has no lookarounds or backreferences and limits how large a regex can get.
+ * Returns an error message, or null if they all do.
+ */
+async function validateRegexSupport(settings) {
+  const rules = [...settings.blockedSites, ...settings.allowRules].filter(rule => rule.type === 'regex');
+  
+  for (const rule of rules) {
+    const { isSupported, reason } = await chrome.declarativeNetRequest.isRegexSupported({
+      regex: createRuleCondition(rule).regexFilter,
+      isCaseSensitive: false
+    });
+    
+    if (!isSupported) {
+      return reason === 'memoryLimitExceeded'
+        ? `${rule.domain}: regular expression is too large`
+        : `${rule.domain}: this kind of regular expression is not supported`;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Check if a domain is currently unlocked, in the given tab if there is one
+ */
+async function isDomainUnlocked(domain, tabId = null) {
+  const { unlockTimers = {} } = await chrome.storage.local.get('unlockTimers');
+  const found = findUnlockTimer(unlockTimers, domain, tabId);
+  
+  if (found) {
+    const { timer } = found;
+    return {
+      unlocked: true,
+      unlockedUntil: timer.unlockedUntil,
+      remainingTime: Math.ceil((timer.unlockedUntil - Date.now()) / 1000),
+      grace: Boolean(timer.grace)
+    };
+  }
+  
+  return { unlocked: false, unlockedUntil: null, remainingTime: 0, grace: false };
+}
+
+/**
+ * Check if a tab should be blocked. Without the tab's id, per-tab unlocks
+ * are ignored.
+ */
+async function shouldBlockTab(url, tabId = null) {
+  const settings = await getSettings();
+  
+  if (!settings.enabled) {
+    return { shouldBlock: false };
+  }
+  
+  const site = getBlockedSite(url, settings);
+  const focusSession = await getFocusSession();
+  
+  if (!site || !isBlockingActive(site, settings, focusSession)) {
+    return { shouldBlock: false };
+  }
+  
+  const blockedDomain = site.domain;
+  const unlockStatus = await isDomainUnlocked(blockedDomain, tabId);
+  
+  return {
+    shouldBlock: !unlockStatus.unlocked,
+    domain: blockedDomain,
+    unlockedUntil: unlockStatus.unlockedUntil,
+    remainingTime: unlockStatus.remainingTime,
+    grace: unlockStatus.grace
+  };
+}
+
+// ============================================================================
+// SCHEDULES
+// ============================================================================
+
+/**
+ * Whether a site is blocked right now: during a focus session always,
+ * otherwise when its schedule says so
+ */
+function isBlockingActive(site, settings, focusSession) {
+  return Boolean(focusSession) || isScheduleActive(getSiteSchedule(site, settings));
+}
+
+/**
+ * Get the schedule that applies to a site: its own if set, else the global one
+ */
+function getSiteSchedule(site, settings) {
+  return site.schedule && site.schedule.length > 0 ? site.schedule : settings.schedule;
+}
+
+/**
+ * Get the unlock methods that apply to a site: its own if set, else the global ones
+ */
+function getSiteUnlockMethods(site, settings) {
+  return site && site.unlockMethods && site.unlockMethods.length > 0
+    ? site.unlockMethods
+    : settings.unlockMethods;
+}
+
+/**
+ * Check if blocking is active now for a list of schedule windows
+ * (an empty list means always active)
+ */
+function isScheduleActive(windows, date = new Date()) {
+  if (!windows || windows.length === 0) return true;
+  return windows.some(slot => isInScheduleWindow(slot, date));
+}
+
+/**
+ * Check if a date falls inside one schedule window.
+ * Windows where end <= start run past midnight into the next day.
+ */
+function isInScheduleWindow(slot, date) {
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const start = parseTime(slot.start);
+  const end = parseTime(slot.end);
+  const today = date.getDay();
+  const yesterday = (today + 6) % 7;
+  
+  if (start === end) {
+    return slot.days.includes(today);
+  }
+  
+  if (start < end) {
+    return slot.days.includes(today) && minutes >= start && minutes < end;
+  }
+  
+  return (slot.days.includes(today) && minutes >= start) ||
+    (slot.days.includes(yesterday) && minutes < end);
+}
+
+/**
+ * Find the next time any schedule window starts or ends
+ */
+function getNextScheduleBoundary(settings, now = new Date()) {
+  const windows = [
+    ...settings.schedule,
+    ...settings.blockedSites.flatMap(site => site.schedule || [])
+  ];
+  let next = null;
+  
+  for (const slot of windows) {
+    const start = parseTime(slot.start);
+    let end = parseTime(slot.end);
+    if (end <= start) end += 24 * 60;
+    
+    // Look one week ahead, starting yesterday for windows that cross midnight
+    for (let offset = -1; offset <= 7; offset++) {
+      const day = new Date(now);
+      day.setDate(day.getDate() + offset);
+      if (!slot.days.includes(day.getDay())) continue;
+      
+      for (const minutes of [start, end]) {
+        const boundary = new Date(day);
+        boundary.setHours(0, minutes, 0, 0);
+        
+        if (boundary > now && (next === null || boundary < next)) {
+          next = boundary;
+        }
+      }
+    }
+  }
+  
+  return next;
+}
+
+/**
+ * Set an alarm for the next schedule boundary (or clear it if there is none)
+ */
+async function scheduleNextBoundaryAlarm() {
+  const settings = await getSettings();
+  const next = getNextScheduleBoundary(settings);
+  
+  await chrome.alarms.clear(SCHEDULE_ALARM);
+  
+  if (next) {
+    chrome.alarms.create(SCHEDULE_ALARM, { when: next.getTime() });
+  }
+}
+
+/**
+ * Validate a list of schedule windows (undefined means no schedule).
+ * Returns an error message, or null if the schedule is valid.
+ */
+function validateSchedule(windows, name) {
+  if (windows === undefined) return null;
+  
+  if (!Array.isArray(windows)) {
+    return `${name}: invalid schedule`;
+  }
+  
+  for (const slot of windows) {
+    const validDays = Array.isArray(slot.days) &&
+      slot.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6);
+    
+    if (!validDays || slot.days.length === 0) {
+      return `${name}: pick at least one day for each schedule window`;
+    }
+    if (!TIME_PATTERN.test(slot.start) || !TIME_PATTERN.test(slot.end)) {
+      return `${name}: schedule times must be HH:MM`;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Convert 'HH:MM' to minutes since midnight
+ */
+function parseTime(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// ============================================================================
+// TAB MONITORING
+// ============================================================================
+
+/**
+ * Monitor navigation events to detect blocked sites
+ */
+chrome.webNavigation.onCommitted.addListener(async (details) => {
+  // Only handle main frame navigation
+  if (details.frameId !== 0) return;
+  
+  const blockStatus = await shouldBlockTab(details.url, details.tabId);
+  
+  if (blockStatus.shouldBlock) {
+    // Notify content script to show overlay
+    try {
+      await chrome.tabs.sendMessage(details.tabId, {
+        action: 'showBlockOverlay',
+        domain: blockStatus.domain
+      });
+    } catch (e) {
+      // Content script might not be ready yet
+      console.log('[Blocker] Could not send message to tab:', e.message);
+    }
+  }
+});
+
+/**
+ * Monitor tab updates (for SPA navigation)
+ */
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+  if (changeInfo.status !== 'complete' || !tab.url) return;
+  
+  await syncTabBlockState(tab);
+});
+
+/**
+ * A tab's own unlocks end with it
+ */
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  await dropTabUnlocks([tabId]);
+});
+
+/**
+ * Show or hide the overlay in a tab to match its current block status
+ */
+async function syncTabBlockState(tab) {
+  const pageUrl = unwrapBlockedPageUrl(tab.url);
+  const blockStatus = await shouldBlockTab(pageUrl, tab.id);
+  
+  // Hard-blocked tab that is no longer blocked: send it back to the site
+  if (pageUrl !== tab.url) {
+    if (!blockStatus.shouldBlock) {
+      await chrome.tabs.update(tab.id, { url: pageUrl });
+    }
+    return;
+  }
+  
+  // Unlocked tabs follow the unlock's end time, which may have just moved
+  let action = 'hideBlockOverlay';
+  if (blockStatus.shouldBlock) {
+    action = 'showBlockOverlay';
+  } else if (blockStatus.unlockedUntil) {
+    action = 'updateCountdown';
+  }
+  
+  try {
+    await chrome.tabs.sendMessage(tab.id, {
+      action,
+      domain: blockStatus.domain,
+      unlockedUntil: blockStatus.unlockedUntil,
+      grace: blockStatus.grace
+    });
+  } catch (e) {
+    // Ignore errors for tabs where content script isn't loaded
+  }
+}
+
+// ============================================================================
+// MESSAGE HANDLING
+// ============================================================================
+
+/**
+ * Handle messages from content scripts and popup
+ */
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  handleMessage(message, sender).then(sendResponse);
+  return true; // Keep channel open for async response
+});
+
+async function handleMessage(message, sender) {
+  // Per-tab unlocks apply to the tab a content script runs in
+  const tabId = sender.tab ? sender.tab.id : null;
+  
+  switch (message.action) {
+    case 'checkBlocked':
+      return await shouldBlockTab(message.url, tabId);
+      
+    case 'unlockSite':
+      const unlockResult = await requestUnlock(message.domain, message.tierRank, message.method, message.extend, tabId);
+      
+      if (unlockResult.success) {
+        await recordStatsEvent({
+          type: 'unlockAttempt',
+          domain: message.domain,
+          success: true,
+          avgDb: message.avgDb,
+          transcript: message.transcript,
+          suspicion: message.suspicion,
+          method: message.method || 'voice',
+          duration: unlockResult.duration
+        });
+      }
+      return unlockResult;
+      
+    case 'lockSite':
+      // The popup names the unlock; a page locks whichever one it is under
+      return await lockSite(message.key || await getTabUnlockKey(message.domain, tabId));
+      
+    case 'extendUnlock':
+      return await showExtendOverlay(message.key);
+      
+    case 'startCooldown':
+      return await recordCooldownStart(message.domain, tabId);
+      
+    case 'getUnlockBudget':
+      return await getUnlockBudget(
+        message.domain,
+        await isGlobalUnlock(await getSettings(), message.domain, tabId, message.extend)
+      );
+      
+    case 'startFocusSession':
+      return await startFocusSession(message.minutes);
+      
+    case 'getFocusSession':
+      return await getFocusSession();
+      
+    case 'getCategories':
+      return SITE_CATEGORIES;
+      
+    case 'getPendingChanges':
+      return await getPendingChanges();
+      
+    case 'confirmPendingChange':
+      return await confirmPendingChange(message.id);
+      
+    case 'cancelPendingChange':
+      return await cancelPendingChange(message.id);
+      
+    case 'openMicPermission':
+      await chrome.tabs.create({ url: chrome.runtime.getURL(MIC_PERMISSION_PATH) });
+      return { success: true };
+      
+    case 'recordBlock':
+      await recordStatsEvent({ type: 'block', domain: message.domain });
+      return { success: true };
+      
+    case 'recordUnlockAttempt':
+      await recordStatsEvent({
+        type: 'unlockAttempt',
+        domain: message.domain,
+        success: false,
+        avgDb: message.avgDb,
+        transcript: message.transcript,
+        suspicion: message.suspicion
+      });
+      return { success: true };
+      
+    case 'getStats':
+      return await getTodayStats();
+      
+    case 'exportData':
+      return await exportData(message.includeStats);
+      
+    case 'importData':
+      return await importData(message.data, message.mode);
+      
+    case 'resetStats':
+      await chrome.storage.local.set({ stats: { days: {}, history: [] } });
+      return { success: true };
+      
+    case 'getSettings':
+      return await getSettings();
+      
+    case 'saveSettings':
+      return await saveSettings(message.settings);
+      
+    case 'getUnlockStatus':
+      return await isDomainUnlocked(message.domain, tabId);
+      
+    case 'getRemainingTime':
+      const status = await isDomainUnlocked(message.domain, tabId);
+      return { remainingTime: status.remainingTime };
+      
+    default:
+      return { error: 'Unknown action' };
+  }
+}
+
+/**
+ * Unlock a site for the tier the user earned, enforcing the daily budget
+ * and escalation. tierRank indexes the tiers sorted from quietest to loudest.
+ * With extend, the time is added to the unlock already running. Per-tab
+ * unlocks need the id of the tab unlocking.
+ */
+async function requestUnlock(domain, tierRank, method = 'voice', extend = false, tabId = null) {
+  const settings = await getSettings();
+  const tiers = getSortedTiers(settings);
+  const site = settings.blockedSites.find(s => s.domain === domain);
+  const global = await isGlobalUnlock(settings, domain, tabId, extend);
+  
+  if (!getSiteUnlockMethods(site, settings).includes(method)) {
+    return { success: false, error: 'This unlock method is not allowed here' };
+  }
+  
+  // A global unlock also lets through every other blocked site (and
+  // categories, which use the global methods)
+  const coveredSites = global ? [...settings.blockedSites.filter(s => s.enabled), null] : [];
+  if (!coveredSites.every(s => getSiteUnlockMethods(s, settings).includes(method))) {
+    return { success: false, error: 'This unlock method is not allowed for every blocked site' };
+  }
+  
+  if (extend && method !== 'voice') {
+    return { success: false, error: 'Extending an unlock needs a voice unlock' };
+  }
+  
+  if (settings.unlockScope === 'tab' && tabId === null) {
+    return { success: false, error: 'Unlock the site from its tab' };
+  }
+  
+  // Other methods always earn their configured tier
+  if (method !== 'voice') {
+    tierRank = Math.min(settings.methodTiers[method], tiers.length - 1);
+  }
+  
+  const tier = tiers[tierRank];
+  
+  if (!tier) {
+    return { success: false, error: 'Unknown volume tier' };
+  }
+  
+  const focusSession = await getFocusSession();
+  if (focusSession) {
+    return { success: false, error: `Focus session: no unlocks until ${formatClockTime(focusSession.endsAt)}` };
+  }
+  
+  const budget = await getUnlockBudget(domain, global);
+  
+  if (budget.remainingSeconds === 0) {
+    return { success: false, error: 'No unlock time left today' };
+  }
+  
+  if (tierRank < budget.minTierRank) {
+    const required = tiers[budget.minTierRank];
+    const problem = method === 'voice' ? 'Not loud enough!' : `This method only earns ${tier.label}.`;
+    return { success: false, error: `${problem} Unlock #${budget.unlocksToday + 1} today needs ${required.label} ${required.emoji}` };
+  }
+  
+  if (method === 'cooldown') {
+    const cooldownError = await checkCooldown(domain, tabId, settings);
+    if (cooldownError) {
+      return { success: false, error: cooldownError };
+    }
+  }
+  
+  let duration = Math.max(1, Math.round(tier.duration * budget.durationFactor));
+  
+  if (budget.remainingSeconds !== null) {
+    duration = Math.min(duration, budget.remainingSeconds);
+  }
+  
+  await recordUnlockUsage(global ? GLOBAL_UNLOCK_KEY : domain, duration);
+  
+  // Only a granted unlock uses up the wait
+  if (method === 'cooldown') {
+    await clearCooldown(domain, tabId);
+  }
+  
+  return await unlockSite(domain, duration, extend, tabId);
+}
+
+/**
+ * Unlock a site for a specified duration, in the tab, domain or globally as
+ * settings.unlockScope says. With extend, the duration is added to the unlock
+ * letting the site through in the tab (if it still is).
+ */
+async function unlockSite(domain, durationSeconds, extend = false, tabId = null) {
+  const now = Date.now();
+  const { unlockScope } = await getSettings();
+  
+  const { key, timer, previous } = await updateUnlockTimers(unlockTimers => {
+    const running = findUnlockTimer(unlockTimers, domain, tabId);
+    const previous = extend && running ? running.timer : null;
+    const key = previous ? running.key : getUnlockKey(unlockScope, domain, tabId);
+    const timer = previous
+      ? { unlockedUntil: previous.unlockedUntil + (durationSeconds * 1000), unlockedAt: previous.unlockedAt, domain }
+      : { unlockedUntil: now + (durationSeconds * 1000), unlockedAt: now, domain };
+    
+    unlockTimers[key] = timer;
+    return { key, timer, previous };
+  });
+  await addAllowRule(key);
+  
+  // Set an alarm to re-block the site when timer expires
+  await armReblockAlarm(key, timer.unlockedUntil);
+  
+  const extended = Boolean(previous);
+  console.log(`[Blocker] ${key} ${extended ? 'extended by' : 'unlocked for'} ${durationSeconds} seconds`);
+  
+  // Hide the overlay in every tab the unlock covers, or show the new end time
+  // in those already unlocked
+  await syncUnlockTabs(key, domain);
+  
+  return { 
+    success: true, 
+    unlockedUntil: timer.unlockedUntil,
+    duration: durationSeconds,
+    extended
+  };
+}
+
+/**
+ * Load settings from storage, filling in any missing defaults
+ */
+async function getSettings() {
+  const { settings } = await chrome.storage.local.get('settings');
+  const merged = { ...DEFAULT_SETTINGS, ...settings };
+  
+  // Superseded by volumeTiers
+  delete merged.volumeThresholds;
+  
+  return merged;
+}
+
+/**
+ * Validate and store settings, then notify open tabs. With tamper protection
+ * on, changes that loosen the blocker are queued instead (see
+ * splitLooseningChanges) and returned as pending.
+ */
+async function saveSettings(settings) {
+  const current = await getSettings();
+  const focusSession = await getFocusSession();
+  const error = validateSettings(settings) ||
+    await validateRegexSupport(settings) ||
+    (focusSession && getFocusViolation(current, settings));
+  
+  if (error) {
+    return { success: false, error };
+  }
+  
+  let changes = [];
+  
+  if (current.tamperDelayMinutes > 0) {
+    ({ settings, changes } = splitLooseningChanges(current, settings));
+  }
+  
+  await storeSettings(settings);
+  const pending = await queuePendingChanges(changes, current.tamperDelayMinutes);
+  
+  return { success: true, pending };
+}
+
+/**
+ * Store validated settings and apply them to rules, alarms and open tabs
+ */
+async function storeSettings(settings) {
+  await chrome.storage.local.set({ settings });
+  await syncBlockRules();
+  await scheduleNextBoundaryAlarm();
+  await rearmWarningAlarms();
+  await broadcastSettingsChanged(settings);
+}
+
+/**
+ * Validate a list of unlock methods
+ */
+function validateUnlockMethods(methods, name) {
+  if (!Array.isArray(methods) || methods.length === 0) {
+    return `${name}: at least one unlock method is needed`;
+  }
+  
+  const unknown = methods.find(method => !UNLOCK_METHODS.includes(method));
+  if (unknown) {
+    return `${name}: unknown unlock method ${unknown}`;
+  }
+  return null;
+}
+
+/**
+ * Validate the tiers and cooldown length used by methods other than voice
+ */
+function validateMethodSettings(settings) {
+  for (const method of UNLOCK_METHODS.filter(m => m !== 'voice')) {
+    const rank = settings.methodTiers[method];
+    if (!Number.isInteger(rank) || rank < 0) {
+      return `Unknown tier for the ${method} unlock method`;
+    }
+  }
+  
+  const seconds = settings.cooldownSeconds;
+  if (!Number.isInteger(seconds) || seconds < MIN_COOLDOWN_SECONDS || seconds > MAX_COOLDOWN_SECONDS) {
+    return `Cooldown must be between ${MIN_COOLDOWN_SECONDS} and ${MAX_COOLDOWN_SECONDS} seconds`;
+  }
+  return null;
+}
+
+/**
+ * Validate the random phrase pool and goals
+ */
+function validatePhrasePool(settings) {
+  if (settings.randomPhrase && settings.phrasePool.length === 0) {
+    return 'Add at least one phrase to pick from';
+  }
+  
+  for (const { text, tierBonus } of settings.phrasePool) {
+    if (typeof text !== 'string' || text.trim().length < 3) {
+      return 'Random phrases must be at least 3 characters';
+    }
+    
+    const unknown = [...text.matchAll(/\{(\w*)\}/g)]
+      .map(match => match[1])
+      .find(name => !PHRASE_PLACEHOLDERS.includes(name));
+    if (unknown !== undefined) {
+      return `Unknown placeholder {${unknown}} in "${text}"`;
+    }
+    
+    if (!Number.isInteger(tierBonus) || tierBonus < 0 || tierBonus > MAX_TIER_BONUS) {
+      return `Tier bonus must be between 0 and ${MAX_TIER_BONUS}`;
+    }
+  }
+  
+  if (!Array.isArray(settings.goals) || settings.goals.some(goal => typeof goal !== 'string' || !goal.trim())) {
+    return 'Goals must not be empty';
+  }
+  
+  return null;
+}
+
+/**
+ * Validate the recognition locale and the per-language phrases
+ */
+function validatePhrases(settings) {
+  if (!LOCALE_PATTERN.test(settings.locale)) {
+    return `Unknown language: ${settings.locale}`;
+  }
+  
+  const seen = new Set();
+  for (const { locale, phrase } of settings.phrases) {
+    if (!LOCALE_PATTERN.test(locale)) {
+      return `Unknown language: ${locale}`;
+    }
+    if (seen.has(locale)) {
+      return `More than one phrase for ${locale}`;
+    }
+    if (typeof phrase !== 'string' || phrase.trim().length < 2) {
+      return `Phrase for ${locale} is too short`;
+    }
+    seen.add(locale);
+  }
+  
+  return null;
+}
+
+/**
+ * Validate settings before saving.
+ * Returns the first error message found, or null if the settings are valid.
+ */
+function validateSettings(settings) {
+  const tierError = validateVolumeTiers(settings.volumeTiers);
+  if (tierError) return tierError;
+  
+  const scheduleError = validateSchedule(settings.schedule, 'Global schedule');
+  if (scheduleError) return scheduleError;
+  
+  const budgetError = validateBudget(settings.dailyBudgetMinutes, 'Global');
+  if (budgetError) return budgetError;
+  
+  if (!ESCALATION_MODES.includes(settings.escalationMode)) {
+    return 'Unknown escalation mode';
+  }
+  
+  if (!ANTI_CHEAT_MODES.includes(settings.antiCheat)) {
+    return 'Unknown playback protection mode';
+  }
+  
+  const threshold = settings.phraseMatchThreshold;
+  if (typeof threshold !== 'number' || threshold < MIN_MATCH_THRESHOLD || threshold > 1) {
+    return `Phrase match threshold must be between ${MIN_MATCH_THRESHOLD * 100}% and 100%`;
+  }
+  
+  const phraseError = validatePhrases(settings) || validatePhrasePool(settings);
+  if (phraseError) return phraseError;
+  
+  const methodError = validateUnlockMethods(settings.unlockMethods, 'Global') ||
+    validateMethodSettings(settings);
+  if (methodError) return methodError;
+  
+  const delay = settings.tamperDelayMinutes;
+  if (!Number.isInteger(delay) || delay < 0 || delay > MAX_TAMPER_DELAY_MINUTES) {
+    return `Tamper protection delay must be between 0 and ${MAX_TAMPER_DELAY_MINUTES} minutes`;
+  }
+  
+  const warningError = validateExpiryWarnings(settings.expiryWarnings);
+  if (warningError) return warningError;
+  
+  const grace = settings.gracePeriodSeconds;
+  if (!Number.isInteger(grace) || grace < 0 || grace > MAX_GRACE_SECONDS) {
+    return `Grace period must be between 0 and ${MAX_GRACE_SECONDS} seconds`;
+  }
+  
+  if (!UNLOCK_SCOPES.includes(settings.unlockScope)) {
+    return 'Unknown unlock scope';
+  }
+  
+  const visit = settings.estimatedVisitMinutes;
+  if (!Number.isInteger(visit) || visit < 1 || visit > MAX_VISIT_MINUTES) {
+    return `Visit length must be between 1 and ${MAX_VISIT_MINUTES} minutes`;
+  }
+  
+  const calibration = settings.calibrationDb;
+  if (calibration !== null && (typeof calibration !== 'number' || calibration < -100 || calibration > 0)) {
+    return 'Calibration level must be between -100 and 0 dB';
+  }
+  
+  for (const site of settings.blockedSites) {
+    const name = site.name || site.domain;
+    const siteError = validateRule(site) ||
+      validateSchedule(site.schedule, name) ||
+      validateBudget(site.dailyBudgetMinutes, name) ||
+      (site.unlockMethods && site.unlockMethods.length > 0 && validateUnlockMethods(site.unlockMethods, name));
+    if (siteError) return siteError;
+  }
+  
+  for (const rule of settings.allowRules) {
+    const ruleError = validateRule(rule);
+    if (ruleError) return ruleError;
+  }
+  
+  return validateCategories(settings.blockedCategories);
+}
+
+/**
+ * Validate expiry warnings: a few distinct whole seconds before the end
+ */
+function validateExpiryWarnings(warnings) {
+  if (!Array.isArray(warnings) || warnings.length > MAX_EXPIRY_WARNINGS) {
+    return `Choose at most ${MAX_EXPIRY_WARNINGS} expiry warnings`;
+  }
+  
+  const valid = warnings.every(seconds =>
+    Number.isInteger(seconds) && seconds > 0 && seconds <= MAX_WARNING_SECONDS
+  );
+  if (!valid || new Set(warnings).size !== warnings.length) {
+    return `Expiry warnings must be different times up to ${MAX_WARNING_SECONDS / 60} minutes before the end`;
+  }
+  
+  return null;
+}
+
+/**
+ * Validate blocked categories: known ids, each listed once, and exceptions
+ * only for domains in the category
+ */
+function validateCategories(entries) {
+  const seen = new Set();
+  
+  for (const entry of entries) {
+    const category = SITE_CATEGORIES.find(c => c.id === entry.id);
+    if (!category) {
+      return `Unknown category ${entry.id}`;
+    }
+    
+    if (seen.has(entry.id)) {
+      return `${category.label} is listed twice`;
+    }
+    seen.add(entry.id);
+    
+    const stray = entry.exceptions.find(domain => !category.domains.includes(domain));
+    if (stray) {
+      return `${stray} is not part of ${category.label}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate the volume tier table.
+ * Returns an error message, or null if the tiers are valid.
+ */
+function validateVolumeTiers(tiers) {
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    return 'At least one volume tier is required';
+  }
+  
+  for (const tier of tiers) {
+    const name = tier.label || 'Unnamed tier';
+    
+    if (!tier.label || !tier.label.trim()) {
+      return 'Every tier needs a label';
+    }
+    if (!Number.isFinite(tier.minDb) || !Number.isFinite(tier.maxDb)) {
+      return `${name}: dB bounds must be numbers`;
+    }
+    if (tier.minDb >= tier.maxDb) {
+      return `${name}: minimum dB must be below maximum dB`;
+    }
+    if (!Number.isInteger(tier.duration) || tier.duration <= 0) {
+      return `${name}: duration must be a positive number of seconds`;
+    }
+  }
+  
+  // Ranges may be listed in any order, but together must form one unbroken span
+  const sorted = [...tiers].sort((a, b) => a.minDb - b.minDb);
+  
+  for (let i = 1; i < sorted.length; i++) {
+    const prev = sorted[i - 1];
+    const tier = sorted[i];
+    
+    if (tier.minDb < prev.maxDb) {
+      return `${prev.label} and ${tier.label} overlap`;
+    }
+    if (tier.minDb > prev.maxDb) {
+      return `Gap between ${prev.label} (${prev.maxDb} dB) and ${tier.label} (${tier.minDb} dB)`;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Tell every tab that settings changed so open overlays stay in sync
+ */
+async function broadcastSettingsChanged(settings) {
+  await broadcastMessage({ action: 'settingsChanged', settings });
+}
+
+/**
+ * Send a message to the content script in every tab
+ */
+async function broadcastMessage(message) {
+  const tabs = await chrome.tabs.query({});
+  
+  for (const tab of tabs) {
+    try {
+      await chrome.tabs.sendMessage(tab.id, message);
+    } catch (e) {
+      // Ignore tabs where content script isn't loaded
+    }
+  }
+  
+  // Blocked pages are extension pages, which tabs.sendMessage doesn't reach
+  chrome.runtime.sendMessage(message).catch(() => {});
+}
+
+/**
+ * Show or hide the overlay in every open tab to match the current state
+ */
+async function syncAllTabs() {
+  const tabs = await chrome.tabs.query({});
+  for (const tab of tabs) {
+    if (tab.url) {
+      await syncTabBlockState(tab);
+    }
+  }
+}
+
+/**
+ * Bring up the overlay in a tab an unlock covers so the user can unlock it
+ * again by voice and add the time to the unlock
+ */
+async function showExtendOverlay(key) {
+  const { unlockTimers = {} } = await chrome.storage.local.get('unlockTimers');
+  const timer = unlockTimers[key];
+  if (!timer || timer.unlockedUntil <= Date.now()) {
+    return { success: false, error: 'This site is not unlocked' };
+  }
+  
+  const settings = await getSettings();
+  const domain = timer.domain || key;
+  const tab = (await getUnlockTabs(key, domain, settings))[0];
+  if (!tab) {
+    return { success: false, error: `Open ${domain} in a tab to extend it` };
+  }
+  
+  // A global unlock is extended from whichever blocked site is open
+  const tabDomain = getBlockedDomain(unwrapBlockedPageUrl(tab.url), settings);
+  const site = settings.blockedSites.find(s => s.domain === tabDomain);
+  if (!getSiteUnlockMethods(site, settings).includes('voice')) {
+    return { success: false, error: 'Extending needs a voice unlock, which this site does not allow' };
+  }
+  
+  await chrome.tabs.update(tab.id, { active: true });
+  await chrome.windows.update(tab.windowId, { focused: true });
+  
+  try {
+    // Top frame only, so embedded frames of the same site don't each show one
+    await chrome.tabs.sendMessage(tab.id, { action: 'showExtendOverlay', domain: tabDomain }, { frameId: 0 });
+  } catch (e) {
+    return { success: false, error: `Reload ${tabDomain} and try again` };
+  }
+  
+  return { success: true };
+}
+
+/**
+ * Tabs on a blocked site that an unlock covers: its own tab for a per-tab
+ * unlock, every tab on any blocked site for a global one, otherwise every tab
+ * on the unlocked rule. Hard-blocked tabs count as being on their site.
+ */
+async function getUnlockTabs(key, domain, settings) {
+  const { scope, tabId } = parseUnlockKey(key);
+  const tabs = await chrome.tabs.query({});
+  
+  return tabs.filter(tab => {
+    if (!tab.url || (scope === 'tab' && tab.id !== tabId)) return false;
+    
+    const tabDomain = getBlockedDomain(unwrapBlockedPageUrl(tab.url), settings);
+    return scope === 'global' ? tabDomain !== null : tabDomain === domain;
+  });
+}
+
+/**
+ * Bring the tabs an unlock covers in line with it after it started, changed
+ * or ended. Each tab is checked in full, since another unlock may cover it too.
+ */
+async function syncUnlockTabs(key, domain) {
+  const settings = await getSettings();
+  
+  for (const tab of await getUnlockTabs(key, domain, settings)) {
+    await syncTabBlockState(tab);
+  }
+}
+
+// ============================================================================
+// VOICE CAPTURE (offscreen document)
+// ============================================================================
+
+// The overlay currently listening; only one voice unlock runs at a time
+let voicePort = null;
+// Keeps relayed messages in order while a final result is being assessed
+let relayQueue = Promise.resolve();
+// The offscreen document's audio pipeline, and callers waiting for it to connect
+let offscreenPort = null;
+let offscreenWaiters = [];
+let creatingOffscreen = null;
+// The popup listening for a pending change's confirmation phrase ({ port, id }),
+// and the change the phrase was last heard for ({ id, expiresAt })
+let confirmingChange = null;
+let voiceConfirmation = null;
+
+/**
+ * Relay between the listening overlay and the offscreen audio pipeline
+ */
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name === OFFSCREEN_PORT_NAME) {
+    offscreenPort = port;
+    
+    port.onMessage.addListener((message) => {
+      relayQueue = relayQueue.then(async () => {
+        // The overlay gets the verdict, not the raw audio features
+        if (message.action === 'result' && message.isFinal) {
+          message.suspicion = await assessLiveness(message.audioFeatures);
+          delete message.audioFeatures;
+          
+          if (confirmingChange && confirmingChange.port === voicePort) {
+            await checkVoiceConfirmation(message.alternatives);
+          }
+        }
+        
+        if (voicePort) {
+          voicePort.postMessage(message);
+        }
+      }).catch(e => console.error('[Blocker] Could not relay voice message:', e));
+    });
+    
+    port.onDisconnect.addListener(() => {
+      if (offscreenPort === port) offscreenPort = null;
+    });
+    
+    offscreenWaiters.forEach(resolve => resolve());
+    offscreenWaiters = [];
+  } else if (port.name === VOICE_PORT_NAME) {
+    port.onMessage.addListener((message) => handleVoicePortMessage(port, message));
+    
+    port.onDisconnect.addListener(() => {
+      if (voicePort === port) stopVoiceCapture();
+    });
+  }
+});
+
+async function handleVoicePortMessage(port, message) {
+  switch (message.action) {
+    case 'start':
+      // Starting in one tab (or calibrating) cancels a voice unlock running in another
+      if (voicePort && voicePort !== port) {
+        voicePort.postMessage({ action: 'error', error: 'aborted' });
+      }
+      voicePort = port;
+      confirmingChange = message.confirmChangeId ? { port, id: message.confirmChangeId } : null;
+      
+      try {
+        await ensureOffscreenDocument();
+        offscreenPort.postMessage({
+          action: 'start',
+          lang: message.lang,
+          recognize: message.recognize
+        });
+      } catch (e) {
+        console.error('[Blocker] Could not start offscreen audio:', e);
+        port.postMessage({ action: 'error', error: 'audio-capture' });
+      }
+      break;
+      
+    case 'stop':
+      if (voicePort === port) await stopVoiceCapture();
+      break;
+  }
+}
+
+/**
+ * Remember the change being confirmed if what was heard includes the
+ * confirmation phrase, so the popup can apply it
+ */
+async function checkVoiceConfirmation(alternatives) {
+  const settings = await getSettings();
+  const expected = normalizeSpokenText(getConfirmPhrase(settings));
+  
+  if ((alternatives || []).some(text => normalizeSpokenText(text).includes(expected))) {
+    voiceConfirmation = { id: confirmingChange.id, expiresAt: Date.now() + VOICE_CONFIRMATION_MS };
+  }
+}
+
+/**
+ * Phrase that confirms a pending change: the unlock phrase in the recognition language
+ */
+function getConfirmPhrase(settings) {
+  const entry = settings.phrases.find(p => p.locale === settings.locale);
+  return entry ? entry.phrase : settings.unlockPhrase;
+}
+
+/**
+ * Lowercase speech or a phrase and drop punctuation, for comparing the two
+ */
+function normalizeSpokenText(text) {
+  return text
+    .toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .replace(/[^\p{L}\p{N}\s']/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Create the offscreen document if needed and wait until it has connected
+ */
+async function ensureOffscreenDocument() {
+  if (offscreenPort) return;
+  
+  if (!creatingOffscreen) {
+    creatingOffscreen = (async () => {
+      const connected = new Promise(resolve => offscreenWaiters.push(resolve));
+      
+      // A document left over from before a service worker restart has lost its port
+      if (await chrome.offscreen.hasDocument()) {
+        await chrome.offscreen.closeDocument();
+      }
+      
+      await chrome.offscreen.createDocument({
+        url: OFFSCREEN_PATH,
+        reasons: ['USER_MEDIA'],
+        justification: 'Measure loudness and recognise the unlock phrase without giving blocked sites microphone access'
+      });
+      
+      await connected;
+    })().finally(() => {
+      creatingOffscreen = null;
+    });
+  }
+  
+  await creatingOffscreen;
+}
+
+/**
+ * Stop listening and close the offscreen document, releasing the microphone
+ */
+async function stopVoiceCapture() {
+  voicePort = null;
+  confirmingChange = null;
+  
+  if (offscreenPort) {
+    offscreenPort.postMessage({ action: 'stop' });
+  }
+  
+  try {
+    if (await chrome.offscreen.hasDocument()) {
+      await chrome.offscreen.closeDocument();
+    }
+  } catch (e) {
+    // Already closed
+  }
+  offscreenPort = null;
+}
+
+// ============================================================================
+// PLAYBACK DETECTION
+// ============================================================================
+
+/**
+ * Check a recognised phrase's audio for signs of a recording played back.
+ * Returns the reasons it looks suspicious: 'clipped' (driven into full scale
+ * like a phone speaker held to the mic), 'compressed' (flat, limited audio)
+ * or 'replayed' (the same loudness envelope as an earlier attempt).
+ * An empty list means it sounded live.
+ */
+async function assessLiveness(features) {
+  const settings = await getSettings();
+  if (settings.antiCheat === 'off' || !features) return [];
+  
+  const reasons = [];
+  
+  if (features.clippedRatio > MAX_CLIPPED_RATIO) {
+    reasons.push('clipped');
+  }
+  
+  if (features.crestDb < MIN_CREST_DB && features.dynamicRangeDb < MIN_DYNAMIC_RANGE_DB) {
+    reasons.push('compressed');
+  }
+  
+  // Nobody says a phrase twice with exactly the same rhythm and loudness
+  if (features.envelope.length >= MIN_FINGERPRINT_SAMPLES) {
+    const { voiceFingerprints = [] } = await chrome.storage.local.get('voiceFingerprints');
+    
+    if (voiceFingerprints.some(previous => getEnvelopeSimilarity(previous, features.envelope) >= REPLAY_SIMILARITY)) {
+      reasons.push('replayed');
+    }
+    
+    await chrome.storage.local.set({
+      voiceFingerprints: [...voiceFingerprints, features.envelope].slice(-FINGERPRINT_LIMIT)
+    });
+  }
+  
+  if (reasons.length > 0) {
+    console.log('[Blocker] Unlock sounded like playback:', reasons.join(', '));
+  }
+  
+  return reasons;
+}
+
+/**
+ * Compare two loudness envelopes by their best correlation, allowing them
+ * to be shifted by a few samples. Level differences do not matter, so a
+ * recording played back louder still matches. 1 means identical shape.
+ */
+function getEnvelopeSimilarity(a, b) {
+  if (Math.min(a.length, b.length) / Math.max(a.length, b.length) < 0.9) return 0;
+  
+  const maxShift = 3;
+  let best = 0;
+  
+  for (let shift = -maxShift; shift <= maxShift; shift++) {
+    const x = [];
+    const y = [];
+    for (let i = 0; i < a.length; i++) {
+      const j = i + shift;
+      if (j >= 0 && j < b.length) {
+        x.push(a[i]);
+        y.push(b[j]);
+      }
+    }
+    best = Math.max(best, getCorrelation(x, y));
+  }
+  
+  return best;
+}
+
+/**
+ * Pearson correlation of two equally long series
+ */
+function getCorrelation(x, y) {
+  const n = x.length;
+  if (n < 2) return 0;
+  
+  const meanX = x.reduce((sum, v) => sum + v, 0) / n;
+  const meanY = y.reduce((sum, v) => sum + v, 0) / n;
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  
+  for (let i = 0; i < n; i++) {
+    covariance += (x[i] - meanX) * (y[i] - meanY);
+    varianceX += (x[i] - meanX) ** 2;
+    varianceY += (y[i] - meanY) ** 2;
+  }
+  
+  if (varianceX === 0 || varianceY === 0) return 0;
+  return covariance / Math.sqrt(varianceX * varianceY);
+}
+
+// ============================================================================
+// UNLOCK BUDGET
+// ============================================================================
+
+/**
+ * Get the volume tiers sorted from quietest to loudest
+ */
+function getSortedTiers(settings) {
+  return [...settings.volumeTiers].sort((a, b) => a.minDb - b.minDb);
+}
+
+/**
+ * Remember when a tab started waiting out the cooldown for a domain. The
+ * overlay runs the countdown, so the unlock it asks for afterwards is checked
+ * against this.
+ */
+async function recordCooldownStart(domain, tabId) {
+  const { cooldownStarts = {} } = await chrome.storage.local.get('cooldownStarts');
+  const now = Date.now();
+  
+  for (const [key, startedAt] of Object.entries(cooldownStarts)) {
+    if (now - startedAt > COOLDOWN_START_TTL_MS) delete cooldownStarts[key];
+  }
+  cooldownStarts[`${tabId}:${domain}`] = now;
+  
+  await chrome.storage.local.set({ cooldownStarts });
+  return { success: true };
+}
+
+/**
+ * Check a tab's cooldown for a domain. Returns an error message if it was
+ * never started or has not run its full length yet, or null.
+ * Only wall-clock time is checked here. The overlay also pauses the countdown
+ * while the tab is unfocused, but the background does not enforce that: it
+ * only makes sure cooldownSeconds really passed, focused or not.
+ */
+async function checkCooldown(domain, tabId, settings) {
+  const { cooldownStarts = {} } = await chrome.storage.local.get('cooldownStarts');
+  const startedAt = cooldownStarts[`${tabId}:${domain}`];
+  
+  if (!startedAt) {
+    return 'Wait out the cooldown first';
+  }
+  
+  if (Date.now() - startedAt < settings.cooldownSeconds * 1000 - COOLDOWN_TOLERANCE_MS) {
+    return 'The cooldown is not over yet';
+  }
+  return null;
+}
+
+/**
+ * Forget a tab's cooldown for a domain once it has earned an unlock
+ */
+async function clearCooldown(domain, tabId) {
+  const { cooldownStarts = {} } = await chrome.storage.local.get('cooldownStarts');
+  delete cooldownStarts[`${tabId}:${domain}`];
+  await chrome.storage.local.set({ cooldownStarts });
+}
+
+/**
+ * Load today's unlock usage ({ day, domains: { domain: { seconds, count } } }),
+ * starting fresh when the day has changed. Global unlocks are counted under
+ * GLOBAL_UNLOCK_KEY.
+ */
+async function getUnlockUsage() {
+  const { unlockUsage } = await chrome.storage.local.get('unlockUsage');
+  const today = getDayKey(new Date());
+  
+  if (!unlockUsage || unlockUsage.day !== today) {
+    return { day: today, domains: {} };
+  }
+  return unlockUsage;
+}
+
+/**
+ * Add a granted unlock to today's usage
+ */
+async function recordUnlockUsage(domain, seconds) {
+  const usage = await getUnlockUsage();
+  const domainUsage = usage.domains[domain] || { seconds: 0, count: 0 };
+  
+  domainUsage.seconds += seconds;
+  domainUsage.count++;
+  usage.domains[domain] = domainUsage;
+  
+  await chrome.storage.local.set({ unlockUsage: usage });
+}
+
+/**
+ * Work out what the next unlock of a domain allows today. A global unlock
+ * gets the strictest budget of every domain it covers.
+ * remainingSeconds is null when no budget applies.
+ */
+async function getUnlockBudget(domain, global = false) {
+  const settings = await getSettings();
+  const usage = await getUnlockUsage();
+  const focusSession = await getFocusSession();
+  
+  const domains = global ? getGlobalUnlockDomains(settings, usage, domain) : [domain];
+  const budgets = domains.map(d => getDomainBudget(settings, usage, d));
+  const limits = budgets.map(b => b.remainingSeconds).filter(seconds => seconds !== null);
+  
+  return {
+    remainingSeconds: limits.length > 0 ? Math.min(...limits) : null,
+    unlocksToday: Math.max(...budgets.map(b => b.unlocksToday)),
+    minTierRank: Math.max(...budgets.map(b => b.minTierRank)),
+    phraseRepeats: Math.max(...budgets.map(b => b.phraseRepeats)),
+    durationFactor: Math.min(...budgets.map(b => b.durationFactor)),
+    // Nothing can be unlocked until then
+    focusEndsAt: focusSession ? focusSession.endsAt : null
+  };
+}
+
+/**
+ * Budget and escalation for one domain, counting global unlocks against it too
+ */
+function getDomainBudget(settings, usage, domain) {
+  const site = settings.blockedSites.find(s => s.domain === domain);
+  const ownUsage = usage.domains[domain] || { seconds: 0, count: 0 };
+  const globalUsage = usage.domains[GLOBAL_UNLOCK_KEY] || { seconds: 0, count: 0 };
+  const siteUsage = {
+    seconds: ownUsage.seconds + globalUsage.seconds,
+    count: ownUsage.count + globalUsage.count
+  };
+  
+  const totalSeconds = Object.values(usage.domains)
+    .reduce((sum, domainUsage) => sum + domainUsage.seconds, 0);
+  
+  const limits = [];
+  if (site && site.dailyBudgetMinutes > 0) {
+    limits.push(site.dailyBudgetMinutes * 60 - siteUsage.seconds);
+  }
+  if (settings.dailyBudgetMinutes > 0) {
+    limits.push(settings.dailyBudgetMinutes * 60 - totalSeconds);
+  }
+  
+  // Unlocks beyond the first one today escalate
+  const extraUnlocks = siteUsage.count;
+  const mode = settings.escalationMode;
+  
+  return {
+    remainingSeconds: limits.length > 0 ? Math.max(0, Math.min(...limits)) : null,
+    unlocksToday: siteUsage.count,
+    minTierRank: mode === 'louder' ? Math.min(extraUnlocks, settings.volumeTiers.length - 1) : 0,
+    phraseRepeats: mode === 'longerPhrase' ? Math.min(extraUnlocks + 1, MAX_PHRASE_REPEATS) : 1,
+    durationFactor: mode === 'shorter' ? Math.pow(0.5, extraUnlocks) : 1
+  };
+}
+
+/**
+ * Domains a global unlock covers, as far as budgets go: the one being
+ * unlocked, every enabled blocked site and any other domain unlocked today
+ */
+function getGlobalUnlockDomains(settings, usage, domain) {
+  const domains = [
+    domain,
+    ...settings.blockedSites.filter(s => s.enabled).map(s => s.domain),
+    ...Object.keys(usage.domains).filter(key => key !== GLOBAL_UNLOCK_KEY)
+  ];
+  return [...new Set(domains)];
+}
+
+/**
+ * Whether an unlock would cover every blocked site: extending adds to the
+ * unlock already running, anything else follows the unlock scope setting
+ */
+async function isGlobalUnlock(settings, domain, tabId, extend) {
+  const key = extend ? await getTabUnlockKey(domain, tabId) : null;
+  return key ? key === GLOBAL_UNLOCK_KEY : settings.unlockScope === 'global';
+}
+
+/**
+ * Validate a daily budget in minutes (undefined/null means not set).
+ * Returns an error message, or null if the budget is valid.
+ */
+function validateBudget(minutes, name) {
+  if (minutes === undefined || minutes === null) return null;
+  
+  if (!Number.isInteger(minutes) || minutes < 0) {
+    return `${name}: daily budget must be a whole number of minutes`;
+  }
+  return null;
+}
+
+// ============================================================================
+// HARD BLOCKING (declarativeNetRequest)
+// ============================================================================
+
+/**
+ * Rebuild all dynamic rules from settings and active unlocks.
+ * Rules only exist while both the extension and hard block mode are enabled.
+ * Ids are derived from positions in getBlockRules: block rule i is i + 1, its unlock
+ * allow rule ALLOW_RULE_ID_BASE + i + 1, and allow rule j USER_ALLOW_RULE_ID_BASE + j + 1.
+ * In allow-only mode a single block rule (id 1) covers every website and
+ * unlocked host k gets the allow rule ALLOW_RULE_ID_BASE + k + 1.
+ */
+async function syncBlockRules() {
+  const settings = await getSettings();
+  const { unlockTimers = {} } = await chrome.storage.local.get('unlockTimers');
+  const focusSession = await getFocusSession();
+  const existingRules = await chrome.declarativeNetRequest.getDynamicRules();
+  const existingTabRules = await chrome.declarativeNetRequest.getSessionRules();
+  const addRules = [];
+  const addTabRules = [];
+  
+  if (settings.enabled && settings.hardBlock) {
+    if (settings.allowOnly) {
+      addRules.push(...createAllowOnlyRules(settings, unlockTimers, focusSession));
+    } else {
+      getBlockRules(settings).forEach((site, index) => {
+        if (!site.enabled || !isBlockingActive(site, settings, focusSession)) return;
+        
+        addRules.push(createBlockRule(index + 1, site));
+        
+        const timer = unlockTimers[site.domain];
+        if (timer && timer.unlockedUntil > Date.now()) {
+          addRules.push(createAllowRule(ALLOW_RULE_ID_BASE + index + 1, site, 2));
+        }
+      });
+    }
+    
+    settings.allowRules.forEach((rule, index) => {
+      if (rule.enabled === false) return;
+      addRules.push(createAllowRule(USER_ALLOW_RULE_ID_BASE + index + 1, rule, 3));
+    });
+    
+    const globalTimer = unlockTimers[GLOBAL_UNLOCK_KEY];
+    if (globalTimer && globalTimer.unlockedUntil > Date.now()) {
+      addRules.push(createAllowRule(GLOBAL_ALLOW_RULE_ID, ALLOW_ONLY_RULE, 2));
+    }
+    
+    addTabRules.push(...createTabAllowRules(settings, unlockTimers));
+  }
+  
+  await chrome.declarativeNetRequest.updateDynamicRules({
+    removeRuleIds: existingRules.map(rule => rule.id),
+    addRules
+  });
+  
+  await chrome.declarativeNetRequest.updateSessionRules({
+    removeRuleIds: existingTabRules.map(rule => rule.id),
+    addRules: addTabRules
+  });
+}
+
+/**
+ * Let each per-tab unlock's rule through in its tab only
+ */
+function createTabAllowRules(settings, unlockTimers) {
+  const rules = [];
+  
+  for (const [key, timer] of Object.entries(unlockTimers)) {
+    const { scope, tabId } = parseUnlockKey(key);
+    if (scope !== 'tab' || timer.unlockedUntil <= Date.now()) continue;
+    
+    const id = TAB_ALLOW_RULE_ID_BASE + rules.length + 1;
+    let rule;
+    
+    // In allow-only mode the unlocked rule is a host
+    if (settings.allowOnly) {
+      rule = createHostAllowRule(id, timer.domain, 2);
+    } else {
+      const site = getBlockRules(settings).find(s => s.domain === timer.domain);
+      if (!site) continue;
+      rule = createAllowRule(id, site, 2);
+    }
+    
+    rule.condition.tabIds = [tabId];
+    rules.push(rule);
+  }
+  
+  return rules;
+}
+
+/**
+ * Block every website while blocking is active, letting unlocked hosts through
+ */
+function createAllowOnlyRules(settings, unlockTimers, focusSession) {
+  if (!isBlockingActive(ALLOW_ONLY_RULE, settings, focusSession)) return [];
+  
+  const unlockedHosts = Object.keys(unlockTimers)
+    .filter(key => parseUnlockKey(key).scope === 'domain' && unlockTimers[key].unlockedUntil > Date.now());
+  
+  return [
+    createBlockRule(1, ALLOW_ONLY_RULE),
+    ...unlockedHosts.map((host, index) => createHostAllowRule(ALLOW_RULE_ID_BASE + index + 1, host, 2))
+  ];
+}
+
+/**
+ * Let requests matching a block rule through while it is unlocked. ruleKey
+ * is the unlock's unlockTimers key.
+ */
+async function addAllowRule(ruleKey) {
+  const settings = await getSettings();
+  if (!settings.enabled || !settings.hardBlock) return;
+  
+  // Allow rule ids follow the unlocked hosts, and per-tab and global unlocks
+  // have rules of their own, so rebuild them all
+  if (settings.allowOnly || parseUnlockKey(ruleKey).scope !== 'domain') {
+    await syncBlockRules();
+    return;
+  }
+  
+  const rules = getBlockRules(settings);
+  const index = rules.findIndex(site => site.domain === ruleKey);
+  if (index === -1) return;
+  
+  const id = ALLOW_RULE_ID_BASE + index + 1;
+  
+  await chrome.declarativeNetRequest.updateDynamicRules({
+    removeRuleIds: [id],
+    addRules: [createAllowRule(id, rules[index], 2)]
+  });
+}
+
+/**
+ * Remove a block rule's unlock allow rule so the block applies again
+ */
+async function removeAllowRule(ruleKey) {
+  const settings = await getSettings();
+  
+  if (settings.allowOnly || parseUnlockKey(ruleKey).scope !== 'domain') {
+    await syncBlockRules();
+    return;
+  }
+  
+  const index = getBlockRules(settings).findIndex(site => site.domain === ruleKey);
+  if (index === -1) return;
+  
+  await chrome.declarativeNetRequest.updateDynamicRules({
+    removeRuleIds: [ALLOW_RULE_ID_BASE + index + 1]
+  });
+}
+
+/**
+ * Redirect top-level navigations to the blocked page, passing the original URL
+ */
+function createBlockRule(id, rule) {
+  return {
+    id,
+    priority: 1,
+    action: {
+      type: 'redirect',
+      redirect: {
+        regexSubstitution: `${chrome.runtime.getURL(BLOCKED_PAGE_PATH)}?url=\\0`
+      }
+    },
+    condition: createRuleCondition(rule)
+  };
+}
+
+function createAllowRule(id, rule, priority) {
+  return {
+    id,
+    priority,
+    action: { type: 'allow' },
+    condition: createRuleCondition(rule)
+  };
+}
+
+/**
+ * Allow exactly one host, with or without www. (allow-only keys drop it).
+ * A domain rule would let its subdomains through as well.
+ */
+function createHostAllowRule(id, host, priority) {
+  return {
+    id,
+    priority,
+    action: { type: 'allow' },
+    condition: {
+      resourceTypes: ['main_frame'],
+      regexFilter: `^https?://(www\\.)?${escapeRegex(host)}(:[0-9]+)?([/?#].*)?$`
+    }
+  };
+}
+
+/**
+ * Build a declarativeNetRequest condition matching the same URLs as matchesRule.
+ * The regex always covers the whole URL so redirects can pass it on as \0.
+ */
+function createRuleCondition(rule) {
+  const condition = { resourceTypes: ['main_frame'] };
+  
+  switch (rule.type || 'domain') {
+    case 'prefix': {
+      const { host, path } = splitPrefixPattern(rule.domain);
+      condition.regexFilter = `^https?://([^/?#]*\\.)?${escapeRegex(host)}(:[0-9]+)?${escapeRegex(path)}.*$`;
+      break;
+    }
+    
+    case 'wildcard':
+      condition.regexFilter = `^https?://${wildcardToRegex(rule.domain)}([?#].*)?$`;
+      break;
+    
+    case 'regex':
+      condition.regexFilter = `^.*(?:${rule.domain}).*$`;
+      break;
+    
+    default:
+      condition.regexFilter = '^.*$';
+      condition.requestDomains = [rule.domain];
+  }
+  
+  return condition;
+}
+
+/**
+ * Get the original URL behind a blocked page URL (other URLs are returned as-is)
+ */
+function unwrapBlockedPageUrl(url) {
+  const prefix = `${chrome.runtime.getURL(BLOCKED_PAGE_PATH)}?url=`;
+  return url.startsWith(prefix) ? url.slice(prefix.length) : url;
+}
+
+// ============================================================================
+// STATISTICS
+// ============================================================================
+
+// Serializes stats writes so concurrent events don't overwrite each other
+let statsWriteQueue = Promise.resolve();
+
+/**
+ * Record a stats event and roll it up into the per-day, per-domain totals.
+ * Event types: 'block', 'unlockAttempt', 'unlockExpired'
+ */
+function recordStatsEvent(event) {
+  statsWriteQueue = statsWriteQueue
+    .then(() => writeStatsEvent({ ...event, time: Date.now() }))
+    .catch((e) => console.error('[Blocker] Failed to record stats:', e));
+  
+  return statsWriteQueue;
+}
+
+async function writeStatsEvent(event) {
+  const { stats = {} } = await chrome.storage.local.get('stats');
+  const days = stats.days || {};
+  const history = stats.history || [];
+  
+  const dayKey = getDayKey(new Date(event.time));
+  const day = days[dayKey] || createStatsTotals();
+  day.domains = day.domains || {};
+  const domainTotals = day.domains[event.domain] || createStatsTotals();
+  
+  for (const totals of [day, domainTotals]) {
+    switch (event.type) {
+      case 'block':
+        totals.blocks++;
+        break;
+        
+      case 'unlockAttempt':
+        if (event.success) {
+          totals.unlocks++;
+          totals.unlockedSeconds += event.duration || 0;
+        } else {
+          totals.failedUnlocks++;
+        }
+        break;
+        
+      case 'unlockExpired':
+        totals.expiries++;
+        break;
+    }
+  }
+  
+  day.domains[event.domain] = domainTotals;
+  days[dayKey] = day;
+  
+  history.push(event);
+  
+  await chrome.storage.local.set({
+    stats: {
+      days: pruneStatsDays(days),
+      history: history.slice(-STATS_HISTORY_LIMIT)
+    }
+  });
+}
+
+function createStatsTotals() {
+  return { blocks: 0, unlocks: 0, failedUnlocks: 0, expiries: 0, unlockedSeconds: 0 };
+}
+
+/**
+ * Drop per-day totals older than the retention window
+ */
+function pruneStatsDays(days) {
+  const cutoff = new Date();
+  cutoff.setDate(cutoff.getDate() - STATS_RETENTION_DAYS);
+  const cutoffKey = getDayKey(cutoff);
+  
+  const kept = {};
+  for (const key in days) {
+    if (key >= cutoffKey) {
+      kept[key] = days[key];
+    }
+  }
+  return kept;
+}
+
+/**
+ * Get today's totals for the popup cards
+ */
+async function getTodayStats() {
+  const { stats = {} } = await chrome.storage.local.get('stats');
+  const settings = await getSettings();
+  const day = (stats.days || {})[getDayKey(new Date())] || createStatsTotals();
+  
+  return {
+    blocks: day.blocks,
+    unlocks: day.unlocks,
+    failedUnlocks: day.failedUnlocks,
+    timeSavedSeconds: calculateTimeSaved(day, settings.estimatedVisitMinutes * 60)
+  };
+}
+
+/**
+ * Estimate time saved for one day.
+ * Each blocked visit is assumed to have lasted estimatedVisitSeconds; the time
+ * the site then spent unlocked is subtracted, per domain, floored at zero.
+ */
+function calculateTimeSaved(day, estimatedVisitSeconds) {
+  let saved = 0;
+  
+  for (const domain in day.domains || {}) {
+    const totals = day.domains[domain];
+    saved += Math.max(0, totals.blocks * estimatedVisitSeconds - totals.unlockedSeconds);
+  }
+  
+  return saved;
+}
+
+/**
+ * Local calendar day as YYYY-MM-DD
+ */
+function getDayKey(date) {
+  const month = (date.getMonth() + 1).toString().padStart(2, '0');
+  const day = date.getDate().toString().padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// ============================================================================
+// IMPORT / EXPORT
+// ============================================================================
+
+/**
+ * Build a versioned export of the settings, optionally with stats and history
+ */
+async function exportData(includeStats) {
+  const data = {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings: await getSettings()
+  };
+  
+  if (includeStats) {
+    const { stats = {} } = await chrome.storage.local.get('stats');
+    data.stats = { days: stats.days || {}, history: stats.history || [] };
+  }
+  
+  return data;
+}
+
+/**
+ * Import an export file. 'replace' swaps in its settings (and stats, if the
+ * file has them); 'merge' adds its sites, rules, phrases and categories to the
+ * current ones and adds its stats to ours. Nothing is written unless the whole
+ * file is valid. Settings go through saveSettings, so focus sessions and
+ * tamper protection apply as for any other change.
+ */
+async function importData(data, mode) {
+  if (mode !== 'merge' && mode !== 'replace') {
+    return { success: false, error: 'Unknown import mode' };
+  }
+  
+  const formatError = validateExportFile(data);
+  if (formatError) {
+    return { success: false, error: `Import refused: ${formatError}` };
+  }
+  
+  const settings = mode === 'merge'
+    ? mergeSettings(await getSettings(), data.settings)
+    : { ...DEFAULT_SETTINGS, ...data.settings };
+  
+  let settingsError;
+  try {
+    settingsError = validateSettings(settings);
+  } catch (e) {
+    settingsError = 'the settings are malformed';
+  }
+  if (settingsError) {
+    return { success: false, error: `Import refused: ${settingsError}` };
+  }
+  
+  const result = await saveSettings(settings);
+  if (!result.success) return result;
+  
+  if (data.stats) {
+    statsWriteQueue = statsWriteQueue.then(async () => {
+      const { stats = {} } = await chrome.storage.local.get('stats');
+      const imported = mode === 'merge' ? mergeStats(stats, data.stats) : data.stats;
+      
+      await chrome.storage.local.set({
+        stats: {
+          days: pruneStatsDays(imported.days),
+          history: imported.history.slice(-STATS_HISTORY_LIMIT)
+        }
+      });
+    });
+    await statsWriteQueue;
+  }
+  
+  console.log(`[Blocker] Imported settings${data.stats ? ' and stats' : ''} (${mode})`);
+  return result;
+}
+
+/**
+ * Check an export file's format, version and the types of what it contains.
+ * Returns an error message, or null if it can be imported.
+ */
+function validateExportFile(data) {
+  if (!isPlainObject(data) || data.format !== EXPORT_FORMAT) {
+    return 'this is not a Distraction Blocker export';
+  }
+  
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    return 'unknown file version';
+  }
+  if (data.version > EXPORT_VERSION) {
+    return 'the file is from a newer version of the extension';
+  }
+  
+  return validateImportedSettings(data.settings) ||
+    (data.stats !== undefined ? validateImportedStats(data.stats) : null);
+}
+
+/**
+ * Check that imported settings only use known keys, each holding the type
+ * its default has, so validateSettings can safely look inside them
+ */
+function validateImportedSettings(settings) {
+  if (!isPlainObject(settings)) {
+    return 'the file has no settings';
+  }
+  
+  for (const [key, value] of Object.entries(settings)) {
+    if (!(key in DEFAULT_SETTINGS)) {
+      return `unknown setting ${key}`;
+    }
+    
+    // calibrationDb is null until the voice is calibrated
+    const expectedType = key === 'calibrationDb' ? 'number' : getValueType(DEFAULT_SETTINGS[key]);
+    if (getValueType(value) !== expectedType && !(key === 'calibrationDb' && value === null)) {
+      return `setting ${key} should be ${expectedType === 'array' ? 'a list' : `a ${expectedType}`}`;
+    }
+    
+    const itemType = IMPORT_ITEM_TYPES[key];
+    if (itemType && !value.every(item => matchesItemType(item, itemType))) {
+      return `setting ${key} has malformed entries`;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Check imported per-day totals and history events
+ */
+function validateImportedStats(stats) {
+  if (!isPlainObject(stats) || !isPlainObject(stats.days) || !Array.isArray(stats.history)) {
+    return 'the stats are malformed';
+  }
+  
+  const totals = Object.keys(createStatsTotals());
+  const isTotals = value => isPlainObject(value) && totals.every(field => typeof value[field] === 'number');
+  
+  for (const [key, day] of Object.entries(stats.days)) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(key) || !isTotals(day) ||
+        !isPlainObject(day.domains || {}) || !Object.values(day.domains || {}).every(isTotals)) {
+      return `the stats for ${key} are malformed`;
+    }
+  }
+  
+  const isEvent = event => isPlainObject(event) && typeof event.time === 'number' && typeof event.type === 'string';
+  if (!stats.history.every(isEvent)) {
+    return 'the unlock history is malformed';
+  }
+  
+  return null;
+}
+
+/**
+ * Add imported list entries that are not already in the current settings.
+ * Everything else keeps its current value.
+ */
+function mergeSettings(current, imported) {
+  const ruleKey = rule => `${rule.type || 'domain'}:${rule.domain}`;
+  const union = (ours, theirs = [], key = item => item) => [
+    ...ours,
+    ...theirs.filter(item => !ours.some(existing => key(existing) === key(item)))
+  ];
+  
+  return {
+    ...current,
+    blockedSites: union(current.blockedSites, imported.blockedSites, ruleKey),
+    allowRules: union(current.allowRules, imported.allowRules, ruleKey),
+    phrases: union(current.phrases, imported.phrases, entry => entry.locale),
+    phrasePool: union(current.phrasePool, imported.phrasePool, entry => entry.text),
+    goals: union(current.goals, imported.goals),
+    blockedCategories: union(current.blockedCategories, imported.blockedCategories, entry => entry.id)
+  };
+}
+
+/**
+ * Add imported stats to ours: per-day totals are summed, history events
+ * are combined in time order
+ */
+function mergeStats(current, imported) {
+  const days = { ...(current.days || {}) };
+  const addTotals = (into, from) => {
+    for (const field of Object.keys(createStatsTotals())) {
+      into[field] += from[field];
+    }
+  };
+  
+  for (const [key, importedDay] of Object.entries(imported.days)) {
+    const day = { ...createStatsTotals(), domains: {}, ...days[key] };
+    day.domains = { ...day.domains };
+    addTotals(day, importedDay);
+    
+    for (const [domain, totals] of Object.entries(importedDay.domains || {})) {
+      day.domains[domain] = { ...(day.domains[domain] || createStatsTotals()) };
+      addTotals(day.domains[domain], totals);
+    }
+    days[key] = day;
+  }
+  
+  const history = [...(current.history || []), ...imported.history].sort((a, b) => a.time - b.time);
+  return { days, history };
+}
+
+/**
+ * Whether a list item has the expected type, or for objects the expected
+ * types for the fields it has (fields in itemType are required)
+ */
+function matchesItemType(item, itemType) {
+  if (typeof itemType === 'string') {
+    return getValueType(item) === itemType;
+  }
+  
+  return isPlainObject(item) &&
+    Object.entries(itemType).every(([field, type]) => getValueType(item[field]) === type);
+}
+
+/**
+ * Type name that tells arrays and null apart from objects
+ */
+function getValueType(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+function isPlainObject(value) {
+  return getValueType(value) === 'object';
+}
+
+// ============================================================================
+// FOCUS SESSIONS
+// ============================================================================
+
+/**
+ * Get the running focus session ({ startedAt, endsAt }), or null
+ */
+async function getFocusSession() {
+  const { focusSession = null } = await chrome.storage.local.get('focusSession');
+  return focusSession && focusSession.endsAt > Date.now() ? focusSession : null;
+}
+
+/**
+ * Start a focus session, or extend the running one. Until it ends every site
+ * is blocked whatever its schedule, nothing can be unlocked and current
+ * unlocks end straight away. A session can be lengthened but not shortened.
+ */
+async function startFocusSession(minutes) {
+  if (!Number.isInteger(minutes) || minutes < MIN_FOCUS_MINUTES || minutes > MAX_FOCUS_MINUTES) {
+    return { success: false, error: `Focus sessions last ${MIN_FOCUS_MINUTES} to ${MAX_FOCUS_MINUTES} minutes` };
+  }
+  
+  const current = await getFocusSession();
+  const endsAt = Date.now() + minutes * 60 * 1000;
+  
+  if (current && current.endsAt >= endsAt) {
+    return { success: false, error: `A focus session already runs until ${formatClockTime(current.endsAt)}` };
+  }
+  
+  const focusSession = { startedAt: current ? current.startedAt : Date.now(), endsAt };
+  await chrome.storage.local.set({ focusSession });
+  chrome.alarms.create(FOCUS_ALARM, { when: endsAt });
+  
+  await relockAllSites();
+  await syncBlockRules();
+  await syncAllTabs();
+  await broadcastMessage({ action: 'focusSessionChanged' });
+  
+  console.log(`[Blocker] Focus session until ${new Date(endsAt).toISOString()}`);
+  return { success: true, focusSession };
+}
+
+/**
+ * End the focus session and let schedules and unlocks apply again
+ */
+async function endFocusSession() {
+  console.log('[Blocker] Focus session ended');
+  
+  await chrome.storage.local.remove('focusSession');
+  await chrome.alarms.clear(FOCUS_ALARM);
+  await syncBlockRules();
+  await syncAllTabs();
+  await broadcastMessage({ action: 'focusSessionChanged' });
+}
+
+/**
+ * Re-arm the end alarm after a restart, or finish a session that ended
+ * while the browser was closed
+ */
+async function restoreFocusSession() {
+  const focusSession = await getFocusSession();
+  
+  if (focusSession) {
+    chrome.alarms.create(FOCUS_ALARM, { when: focusSession.endsAt });
+  } else {
+    await chrome.storage.local.remove('focusSession');
+    await chrome.alarms.clear(FOCUS_ALARM);
+  }
+}
+
+/**
+ * End every unlock in progress. The caller syncs block rules and tabs.
+ */
+async function relockAllSites() {
+  const ended = await updateUnlockTimers(unlockTimers => {
+    const unlocked = Object.entries(unlockTimers);
+    unlocked.forEach(([key]) => delete unlockTimers[key]);
+    return unlocked;
+  });
+  
+  for (const [key, timer] of ended) {
+    await chrome.alarms.clear(REBLOCK_ALARM_PREFIX + key);
+    await clearWarningAlarms(key);
+    await recordStatsEvent({ type: 'unlockExpired', domain: timer.domain || key });
+  }
+}
+
+/**
+ * Check a settings change against a running focus session: blocking and
+ * allow-only mode cannot be turned off, blocked sites and categories cannot be
+ * removed or disabled and no exceptions can be added. Returns an error message, or null if the change is allowed.
+ */
+function getFocusViolation(current, next) {
+  if (current.enabled && !next.enabled) {
+    return 'Blocking cannot be turned off during a focus session';
+  }
+  
+  if (current.allowOnly && !next.allowOnly) {
+    return 'Allow-only mode cannot be turned off during a focus session';
+  }
+  
+  for (const site of current.blockedSites) {
+    if (!site.enabled) continue;
+    
+    const updated = next.blockedSites.find(s => s.domain === site.domain);
+    if (!updated || !updated.enabled) {
+      return `${site.name || site.domain} stays blocked until the focus session ends`;
+    }
+  }
+  
+  for (const entry of current.blockedCategories) {
+    if (!entry.enabled) continue;
+    
+    const updated = next.blockedCategories.find(c => c.id === entry.id);
+    if (!updated || !updated.enabled) {
+      return `${getCategoryLabel(entry.id)} stays blocked until the focus session ends`;
+    }
+    if (updated.exceptions.some(domain => !entry.exceptions.includes(domain))) {
+      return 'Exceptions cannot be added during a focus session';
+    }
+  }
+  
+  if (next.allowRules.some(rule => !hasAllowRule(current.allowRules, rule))) {
+    return 'Exceptions cannot be added during a focus session';
+  }
+  
+  return null;
+}
+
+/**
+ * Whether an allow rule is in a list of rules
+ */
+function hasAllowRule(rules, rule) {
+  return rules.some(existing =>
+    existing.domain === rule.domain && (existing.type || 'domain') === (rule.type || 'domain')
+  );
+}
+
+/**
+ * Name of a category for messages
+ */
+function getCategoryLabel(id) {
+  const category = SITE_CATEGORIES.find(c => c.id === id);
+  return category ? category.label : id;
+}
+
+/**
+ * Format a timestamp as a local clock time (e.g. 14:30)
+ */
+function formatClockTime(timestamp) {
+  return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+// ============================================================================
+// TAMPER PROTECTION
+// ============================================================================
+
+// Settings that can loosen the blocker on their own: whether a new value is
+// looser than the current one, and how to describe the change. Only called
+// when the value changed.
+const LOOSENING_SETTINGS = {
+  hardBlock: {
+    loosens: (current, next) => current && !next,
+    summary: () => 'Turn hard blocking off'
+  },
+  schedule: {
+    loosens: (current, next) => !scheduleCovers(next, current),
+    summary: () => 'Block on a shorter schedule'
+  },
+  dailyBudgetMinutes: {
+    loosens: (current, next) => getBudgetLimit(next) > getBudgetLimit(current),
+    summary: next => next > 0
+      ? `Raise the daily unlock budget to ${next} minutes`
+      : 'Remove the daily unlock budget'
+  },
+  unlockMethods: {
+    loosens: (current, next) => next.some(method => !current.includes(method)),
+    summary: (next, current) =>
+      `Allow unlocking by ${next.filter(method => !current.includes(method)).join(', ')}`
+  },
+  methodTiers: {
+    loosens: (current, next) => Object.keys(next).some(method => next[method] > current[method]),
+    summary: () => 'Let unlock methods earn longer tiers'
+  },
+  cooldownSeconds: {
+    loosens: (current, next) => next < current,
+    summary: next => `Shorten the cooldown wait to ${next} seconds`
+  },
+  phraseMatchThreshold: {
+    loosens: (current, next) => next < current,
+    summary: next => `Accept ${Math.round(next * 100)}% of the phrase`
+  },
+  antiCheat: {
+    loosens: (current, next) => ANTI_CHEAT_MODES.indexOf(next) < ANTI_CHEAT_MODES.indexOf(current),
+    summary: next => next === 'off' ? 'Turn playback protection off' : 'Weaken playback protection'
+  },
+  escalationMode: {
+    loosens: current => current !== 'none',
+    summary: next => next === 'none'
+      ? 'Stop making repeat unlocks harder'
+      : 'Change how repeat unlocks get harder'
+  },
+  volumeTiers: {
+    loosens: (current, next) => tiersLoosened(current, next),
+    summary: () => 'Make volume tiers easier or longer'
+  },
+  calibrationDb: {
+    loosens: (current, next) => getCalibrationOffset(next) > getCalibrationOffset(current),
+    summary: () => 'Recalibrate to a quieter voice'
+  },
+  unlockPhrase: {
+    loosens: () => true,
+    summary: () => 'Change the unlock phrase'
+  },
+  phrases: {
+    loosens: () => true,
+    summary: () => 'Change the phrases for other languages'
+  },
+  randomPhrase: {
+    loosens: () => true,
+    summary: next => next ? 'Turn random phrases on' : 'Turn random phrases off'
+  },
+  phrasePool: {
+    loosens: () => true,
+    summary: () => 'Change the random phrase pool'
+  },
+  goals: {
+    loosens: () => true,
+    summary: () => 'Change the goals'
+  },
+  gracePeriodSeconds: {
+    loosens: (current, next) => next > current,
+    summary: next => `Lengthen the grace period to ${next} seconds`
+  },
+  unlockScope: {
+    loosens: (current, next) => UNLOCK_SCOPES.indexOf(next) > UNLOCK_SCOPES.indexOf(current),
+    summary: next => next === 'global'
+      ? 'Let unlocks cover every blocked site'
+      : 'Let unlocks cover every tab'
+  }
+};
+
+/**
+ * Whether a schedule blocks at least whenever another one does. Compares
+ * every minute of a week (one without a DST change).
+ */
+function scheduleCovers(windows, other) {
+  if (!windows || windows.length === 0) return true;
+  if (!other || other.length === 0) return false;
+  
+  const weekStart = new Date(2024, 0, 7).getTime();
+  for (let minute = 0; minute < 7 * 24 * 60; minute++) {
+    const date = new Date(weekStart + minute * 60 * 1000);
+    if (isScheduleActive(other, date) && !isScheduleActive(windows, date)) return false;
+  }
+  return true;
+}
+
+/**
+ * A daily budget in minutes, with no budget as the largest
+ */
+function getBudgetLimit(minutes) {
+  return minutes > 0 ? minutes : Infinity;
+}
+
+/**
+ * Whether new volume tiers are easier to reach or unlock for longer
+ */
+function tiersLoosened(current, next) {
+  const sortTiers = tiers => [...tiers].sort((a, b) => a.minDb - b.minDb);
+  const before = sortTiers(current);
+  const after = sortTiers(next);
+  
+  return before.length !== after.length || after.some((tier, rank) =>
+    tier.minDb < before[rank].minDb || tier.duration > before[rank].duration
+  );
+}
+
+/**
+ * How many dB calibration adds to measured levels
+ */
+function getCalibrationOffset(calibrationDb) {
+  return calibrationDb === null ? 0 : NORMAL_SPEECH_LEVEL - calibrationDb;
+}
+
+/**
+ * What about a blocked site a change makes looser, as labels
+ */
+function getSiteLoosening(site, next, settings) {
+  const loosened = [];
+  const methods = getSiteUnlockMethods(site, settings);
+  
+  if ((site.type || 'domain') !== (next.type || 'domain')) {
+    loosened.push('rule type');
+  }
+  if (!scheduleCovers(getSiteSchedule(next, settings), getSiteSchedule(site, settings))) {
+    loosened.push('schedule');
+  }
+  if (getBudgetLimit(next.dailyBudgetMinutes) > getBudgetLimit(site.dailyBudgetMinutes)) {
+    loosened.push('daily budget');
+  }
+  if (getSiteUnlockMethods(next, settings).some(method => !methods.includes(method))) {
+    loosened.push('unlock methods');
+  }
+  
+  return loosened;
+}
+
+/**
+ * Separate the parts of a settings change that loosen the blocker: turning
+ * blocking or allow-only mode off, removing, disabling or relaxing a blocked
+ * site or category, adding or re-enabling an exception, any setting in
+ * LOOSENING_SETTINGS and shortening the tamper protection delay itself.
+ * Returns the settings with those parts left as they are now, and the held
+ * back changes.
+ */
+function splitLooseningChanges(current, next) {
+  const settings = { ...next, blockedSites: [...next.blockedSites] };
+  const changes = [];
+  
+  if (current.enabled && !next.enabled) {
+    settings.enabled = true;
+    changes.push({ type: 'disableBlocking', summary: 'Turn blocking off' });
+  }
+  
+  if (current.allowOnly && !next.allowOnly) {
+    settings.allowOnly = true;
+    changes.push({ type: 'disableAllowOnly', summary: 'Turn allow-only mode off' });
+  }
+  
+  current.blockedSites.forEach((site, index) => {
+    if (!site.enabled) return;
+    
+    const name = site.name || site.domain;
+    const position = settings.blockedSites.findIndex(s => s.domain === site.domain);
+    
+    if (position === -1) {
+      settings.blockedSites.splice(Math.min(index, settings.blockedSites.length), 0, site);
+      changes.push({ type: 'removeSite', domain: site.domain, summary: `Remove ${name}` });
+    } else if (!settings.blockedSites[position].enabled) {
+      settings.blockedSites[position] = { ...settings.blockedSites[position], enabled: true };
+      changes.push({ type: 'disableSite', domain: site.domain, summary: `Stop blocking ${name}` });
+    } else {
+      const updated = settings.blockedSites[position];
+      const loosened = getSiteLoosening(site, updated, current);
+      if (loosened.length > 0) {
+        settings.blockedSites[position] = site;
+        changes.push({
+          type: 'updateSite',
+          domain: site.domain,
+          site: updated,
+          summary: `Relax ${name} (${loosened.join(', ')})`
+        });
+      }
+    }
+  });
+  
+  settings.blockedCategories = next.blockedCategories.map(entry => ({ ...entry }));
+  
+  for (const entry of current.blockedCategories) {
+    if (!entry.enabled) continue;
+    
+    const label = getCategoryLabel(entry.id);
+    let updated = settings.blockedCategories.find(c => c.id === entry.id);
+    
+    if (!updated || !updated.enabled) {
+      if (!updated) {
+        updated = { ...entry };
+        settings.blockedCategories.push(updated);
+      }
+      updated.enabled = true;
+      changes.push({ type: 'disableCategory', category: entry.id, summary: `Stop blocking ${label}` });
+    }
+    
+    for (const domain of updated.exceptions.filter(d => !entry.exceptions.includes(d))) {
+      updated.exceptions = updated.exceptions.filter(d => d !== domain);
+      changes.push({ type: 'addCategoryException', category: entry.id, domain, summary: `Allow ${domain} in ${label}` });
+    }
+  }
+  
+  const newRules = next.allowRules.filter(rule => !hasAllowRule(current.allowRules, rule));
+  if (newRules.length > 0) {
+    settings.allowRules = next.allowRules.filter(rule => !newRules.includes(rule));
+    for (const rule of newRules) {
+      changes.push({ type: 'addAllowRule', rule, summary: `Always allow ${rule.domain}` });
+    }
+  }
+  
+  const enabledRules = settings.allowRules.filter(rule => rule.enabled !== false &&
+    current.allowRules.some(existing => existing.enabled === false && hasAllowRule([existing], rule))
+  );
+  if (enabledRules.length > 0) {
+    settings.allowRules = settings.allowRules.map(rule =>
+      enabledRules.includes(rule) ? { ...rule, enabled: false } : rule
+    );
+    for (const rule of enabledRules) {
+      changes.push({ type: 'enableAllowRule', rule, summary: `Allow ${rule.domain} again` });
+    }
+  }
+  
+  for (const [key, check] of Object.entries(LOOSENING_SETTINGS)) {
+    if (JSON.stringify(current[key]) === JSON.stringify(next[key])) continue;
+    if (!check.loosens(current[key], next[key])) continue;
+    
+    settings[key] = current[key];
+    changes.push({ type: 'setSetting', key, value: next[key], summary: check.summary(next[key], current[key]) });
+  }
+  
+  if (next.tamperDelayMinutes < current.tamperDelayMinutes) {
+    settings.tamperDelayMinutes = current.tamperDelayMinutes;
+    const summary = next.tamperDelayMinutes === 0
+      ? 'Turn tamper protection off'
+      : `Shorten the tamper protection delay to ${next.tamperDelayMinutes} minutes`;
+    changes.push({ type: 'setTamperDelay', minutes: next.tamperDelayMinutes, summary });
+  }
+  
+  return { settings, changes };
+}
+
+/**
+ * Apply a pending change to settings, returning the new settings
+ */
+function applyChange(settings, change) {
+  switch (change.type) {
+    case 'disableBlocking':
+      return { ...settings, enabled: false };
+      
+    case 'disableAllowOnly':
+      return { ...settings, allowOnly: false };
+      
+    case 'removeSite':
+      return { ...settings, blockedSites: settings.blockedSites.filter(s => s.domain !== change.domain) };
+      
+    case 'disableSite':
+      return {
+        ...settings,
+        blockedSites: settings.blockedSites.map(s => s.domain === change.domain ? { ...s, enabled: false } : s)
+      };
+      
+    case 'disableCategory':
+      return {
+        ...settings,
+        blockedCategories: settings.blockedCategories.map(c => c.id === change.category ? { ...c, enabled: false } : c)
+      };
+      
+    case 'addCategoryException':
+      return {
+        ...settings,
+        blockedCategories: settings.blockedCategories.map(c =>
+          c.id === change.category && !c.exceptions.includes(change.domain)
+            ? { ...c, exceptions: [...c.exceptions, change.domain] }
+            : c
+        )
+      };
+      
+    case 'addAllowRule':
+      if (hasAllowRule(settings.allowRules, change.rule)) return settings;
+      return { ...settings, allowRules: [...settings.allowRules, change.rule] };
+      
+    case 'enableAllowRule':
+      return {
+        ...settings,
+        allowRules: settings.allowRules.map(rule =>
+          hasAllowRule([rule], change.rule) ? { ...rule, enabled: true } : rule
+        )
+      };
+      
+    case 'updateSite':
+      return {
+        ...settings,
+        blockedSites: settings.blockedSites.map(s =>
+          s.domain === change.domain ? { ...change.site, enabled: s.enabled } : s
+        )
+      };
+      
+    case 'setSetting':
+      return { ...settings, [change.key]: change.value };
+      
+    case 'setTamperDelay':
+      return { ...settings, tamperDelayMinutes: change.minutes };
+      
+    default:
+      return settings;
+  }
+}
+
+/**
+ * Identify what a change does, so asking for it twice queues it once
+ */
+function getChangeKey(change) {
+  const target = change.rule
+    ? `${change.rule.type || 'domain'}:${change.rule.domain}`
+    : [change.category, change.domain, change.key].filter(Boolean).join(':');
+  return `${change.type}:${target}`;
+}
+
+/**
+ * Get the queued settings changes, soonest first
+ */
+async function getPendingChanges() {
+  const { pendingChanges = [] } = await chrome.storage.local.get('pendingChanges');
+  return pendingChanges.sort((a, b) => a.appliesAt - b.appliesAt);
+}
+
+/**
+ * Queue changes to apply after the delay. A change that is already queued
+ * keeps its place, so asking again does not restart the wait.
+ * Returns the queued entries for the given changes.
+ */
+async function queuePendingChanges(changes, delayMinutes) {
+  if (changes.length === 0) return [];
+  
+  const pendingChanges = await getPendingChanges();
+  const appliesAt = Date.now() + delayMinutes * 60 * 1000;
+  const queued = [];
+  
+  for (const change of changes) {
+    const existing = pendingChanges.find(p => getChangeKey(p) === getChangeKey(change));
+    
+    if (existing) {
+      Object.assign(existing, change);
+      queued.push(existing);
+      continue;
+    }
+    
+    const entry = { ...change, id: crypto.randomUUID(), requestedAt: Date.now(), appliesAt };
+    pendingChanges.push(entry);
+    queued.push(entry);
+    chrome.alarms.create(PENDING_ALARM_PREFIX + entry.id, { when: appliesAt });
+    console.log(`[Blocker] Queued "${entry.summary}" until ${new Date(appliesAt).toISOString()}`);
+  }
+  
+  await chrome.storage.local.set({ pendingChanges });
+  await broadcastMessage({ action: 'pendingChangesChanged' });
+  
+  return queued;
+}
+
+/**
+ * Apply a queued change early, once the confirmation phrase was heard for it
+ */
+async function confirmPendingChange(id) {
+  const confirmation = voiceConfirmation;
+  voiceConfirmation = null;
+  
+  if (!confirmation || confirmation.id !== id || Date.now() > confirmation.expiresAt) {
+    return { success: false, error: 'Say the confirmation phrase to apply this change early' };
+  }
+  
+  return await applyPendingChange(id);
+}
+
+/**
+ * Apply a queued change, when its delay is over or the user confirmed it by
+ * voice. During a focus session changes it would break wait until the end.
+ */
+async function applyPendingChange(id) {
+  const pendingChanges = await getPendingChanges();
+  const change = pendingChanges.find(p => p.id === id);
+  
+  if (!change) {
+    return { success: false, error: 'This change is no longer pending' };
+  }
+  
+  const current = await getSettings();
+  const settings = applyChange(current, change);
+  const focusSession = await getFocusSession();
+  
+  if (focusSession && getFocusViolation(current, settings)) {
+    change.appliesAt = focusSession.endsAt;
+    await chrome.storage.local.set({ pendingChanges });
+    chrome.alarms.create(PENDING_ALARM_PREFIX + id, { when: change.appliesAt });
+    await broadcastMessage({ action: 'pendingChangesChanged' });
+    return { success: false, error: `"${change.summary}" will apply when the focus session ends` };
+  }
+  
+  await chrome.storage.local.set({ pendingChanges: pendingChanges.filter(p => p.id !== id) });
+  await chrome.alarms.clear(PENDING_ALARM_PREFIX + id);
+  
+  const error = validateSettings(settings);
+  if (error) {
+    console.warn(`[Blocker] Dropped pending change "${change.summary}":`, error);
+  } else {
+    await storeSettings(settings);
+    console.log(`[Blocker] Applied pending change "${change.summary}"`);
+  }
+  
+  await broadcastMessage({ action: 'pendingChangesChanged' });
+  return error ? { success: false, error } : { success: true };
+}
+
+/**
+ * Drop a queued change
+ */
+async function cancelPendingChange(id) {
+  const pendingChanges = await getPendingChanges();
+  
+  await chrome.storage.local.set({ pendingChanges: pendingChanges.filter(p => p.id !== id) });
+  await chrome.alarms.clear(PENDING_ALARM_PREFIX + id);
+  await broadcastMessage({ action: 'pendingChangesChanged' });
+  
+  return { success: true };
+}
+
+/**
+ * Re-arm pending change alarms after a restart, applying changes whose
+ * delay ran out while the browser was closed
+ */
+async function restorePendingChanges() {
+  for (const change of await getPendingChanges()) {
+    if (change.appliesAt <= Date.now()) {
+      await applyPendingChange(change.id);
+    } else {
+      chrome.alarms.create(PENDING_ALARM_PREFIX + change.id, { when: change.appliesAt });
+    }
+  }
+}
+
+// ============================================================================
+// ALARM HANDLING (Re-blocking after unlock expires)
+// ============================================================================
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name === SCHEDULE_ALARM) {
+    console.log('[Blocker] Schedule window boundary, updating open tabs');
+    
+    await syncBlockRules();
+    await syncAllTabs();
+    await scheduleNextBoundaryAlarm();
+    return;
+  }
+  
+  if (alarm.name === FOCUS_ALARM) {
+    await endFocusSession();
+    return;
+  }
+  
+  if (alarm.name.startsWith(PENDING_ALARM_PREFIX)) {
+    await applyPendingChange(alarm.name.slice(PENDING_ALARM_PREFIX.length));
+    return;
+  }
+  
+  if (alarm.name.startsWith(REBLOCK_ALARM_PREFIX)) {
+    await expireUnlock(alarm.name.slice(REBLOCK_ALARM_PREFIX.length));
+    return;
+  }
+  
+  const warning = parseWarningAlarm(alarm.name);
+  if (warning) {
+    await showExpiryWarning(warning.key);
   }
 });
 
 // ============================================================================
-// PERIODIC CLEANUP
+// STARTUP
 // ============================================================================
 
-// Clean up expired timers every minute
-setInterval(cleanupExpiredTimers, 60000);
+// Runs each time the service worker starts: on browser startup, after an
+// install or update, and on every wake-up after being suspended
+restoreUnlockTimers();
 
 console.log('[Blocker] Background service worker initialized');
\ No newline at end of file
@@ -1,37 +1,83 @@
 /**
  * Distraction Blocker - Content Script
- * Handles overlay display, voice recognition, and loudness detection
+ * Handles overlay display and the voice unlock UI.
+ * Audio capture and speech recognition run in offscreen/offscreen.js.
  */
 
 // ============================================================================
 // CONFIGURATION
 // ============================================================================
 
-const UNLOCK_PHRASE = "i'm a loser";
+// Fallback phrase until settings have been loaded from the background
+const DEFAULT_UNLOCK_PHRASE = "i'm a loser";
 
-// Volume-to-duration mapping (dB to seconds)
-const VOLUME_DURATION_MAP = [
-  { minDb: -50, maxDb: -35, duration: 30, label: 'Whisper', emoji: '🤫' },
-  { minDb: -35, maxDb: -25, duration: 60, label: 'Quiet', emoji: '😶' },
-  { minDb: -25, maxDb: -15, duration: 120, label: 'Normal', emoji: '🗣️' },
-  { minDb: -15, maxDb: -5, duration: 300, label: 'Loud', emoji: '📢' },
-  { minDb: -5, maxDb: 0, duration: 600, label: 'SHOUTING!', emoji: '🔊' }
+// Recognition locale used when settings do not name one
+const DEFAULT_LOCALE = 'en-US';
+
+// Volume-to-duration tiers come from settings.volumeTiers (see background.js)
+
+// Tier level a calibrated normal speaking voice maps to (middle of "Normal")
+const NORMAL_SPEECH_LEVEL = -20;
+
+// Extension page that hard-blocked requests are redirected to (also loads this script)
+const BLOCKED_PAGE_PATH = 'blocked/blocked.html';
+
+// The service worker, the only sender the overlay takes messages from
+const BACKGROUND_PATH = 'background.js';
+
+// Port name for streaming volume levels and transcripts from the offscreen document
+const VOICE_PORT_NAME = 'voice-unlock';
+
+// Random words added to the phrase so a recording cannot contain it.
+// Other languages get a two-digit number, which recognisers write as digits.
+const CHALLENGE_WORDS = [
+  'banana', 'purple', 'rocket', 'pickle', 'thunder', 'giraffe', 'violin', 'pancake',
+  'lantern', 'cactus', 'marble', 'penguin', 'tornado', 'biscuit', 'walrus', 'meadow',
+  'copper', 'jungle', 'noodle', 'saddle', 'pepper', 'dolphin', 'blanket', 'volcano'
 ];
 
+// Text typed by the 'confession' unlock method ({site} is the site's name)
+const CONFESSION_TEXT = 'I am about to waste my time on {site}. I know it will not make me ' +
+  'happier and I know I will regret it, but I am choosing it anyway because right now ' +
+  'I have no self control.';
+
+// Words in the 'typing' unlock method's test, and sums in the 'arithmetic' one
+const TYPING_TEST_WORDS = 20;
+const ARITHMETIC_PROBLEMS = 5;
+
+// Shown for each reason the background gives for suspecting playback
+const SUSPICION_LABELS = {
+  clipped: 'distorted like a speaker',
+  compressed: 'flat like a recording',
+  replayed: 'identical to an earlier attempt'
+};
+
+// How often to check for SPA URL changes when the Navigation API is unavailable (ms)
+const URL_POLL_INTERVAL = 1000;
+
 // ============================================================================
 // STATE
 // ============================================================================
 
+let settings = null;
+let unlockBudget = null; // What the next unlock allows today (from the background)
 let overlayElement = null;
 let isOverlayVisible = false;
 let currentDomain = null;
 let countdownInterval = null;
-let audioContext = null;
-let analyser = null;
-let microphone = null;
-let volumeSamples = [];
+let countdownUntil = null; // When the current unlock ends (from the background)
+let countdownGrace = false; // The countdown is the unlock's grace period
+let warningLevel = 0; // How many expiry warnings the countdown has passed
+let voicePort = null; // Connection to the background's audio pipeline while listening
 let isListening = false;
-let recognition = null;
+let selectedLocale = null; // Language picked in the overlay, overrides settings.locale
+let challengeWord = null; // Added to the phrase for the current attempt (anti-cheat)
+let poolPhrase = null; // { text, tierBonus } picked from settings.phrasePool for the current attempt
+let stopUnlockMethod = null; // Cleans up the alternative unlock method in progress
+let focusInterval = null; // Ticks the focus session countdown in the overlay
+let isExtending = false; // Overlay was opened to add time to a running unlock
+let lastUrl = window.location.href;
+let recordedBlockUrl = null; // Page the block was last counted for
 
 // ============================================================================
 // INITIALIZATION
@@ -41,47 +87,316 @@ let recognition = null;
  * Initialize content script
  */
 async function init() {
+  await loadSettings();
+  
   // Check if current page should be blocked
   const result = await chrome.runtime.sendMessage({
     action: 'checkBlocked',
-    url: window.location.href
+    url: getPageUrl()
   });
   
   if (result.shouldBlock) {
     currentDomain = result.domain;
     showBlockOverlay();
-  } else if (result.remainingTime > 0) {
+  } else if (isBlockedPage()) {
+    // Unlocked (or no longer blocked) since the redirect happened
+    window.location.replace(getPageUrl());
+  } else if (result.unlockedUntil) {
     currentDomain = result.domain;
-    startCountdownDisplay(result.remainingTime);
+    startCountdownDisplay(result.unlockedUntil, result.grace);
+  }
+}
+
+/**
+ * Re-check the current URL and show or hide the overlay to match.
+ * After an SPA navigation a different rule (or none) may match.
+ */
+async function recheckBlockStatus() {
+  // Extension context alive check
+  if (!chrome?.runtime?.id) return;
+
+  try {
+    const result = await chrome.runtime.sendMessage({
+      action: 'checkBlocked',
+      url: getPageUrl()
+    });
+
+    if (result?.shouldBlock) {
+      // An extend overlay turns into the real block once the unlock is over
+      if (isOverlayVisible && result.domain === currentDomain && !isExtending) return;
+      
+      if (isOverlayVisible) hideBlockOverlay();
+      stopCountdownDisplay();
+      currentDomain = result.domain;
+      showBlockOverlay();
+    } else {
+      if (isOverlayVisible) hideBlockOverlay();
+      
+      if (result?.unlockedUntil) {
+        currentDomain = result.domain;
+        startCountdownDisplay(result.unlockedUntil, result.grace);
+      } else {
+        stopCountdownDisplay();
+      }
+    }
+  } catch (err) {
+    // Context invalidated / extension reloaded
+    console.warn('[Blocker] Block check skipped:', err.message);
+  }
+}
+
+/**
+ * Re-check when the URL changed without a page load
+ */
+function handleUrlChange() {
+  if (window.location.href === lastUrl) return;
+  
+  lastUrl = window.location.href;
+  recheckBlockStatus();
+}
+
+/**
+ * Whether this script is running on the extension's hard-block page
+ */
+function isBlockedPage() {
+  return window.location.href.startsWith(chrome.runtime.getURL(BLOCKED_PAGE_PATH));
+}
+
+/**
+ * Get the URL being blocked.
+ * On the hard-block page this is the original URL passed by the redirect rule.
+ */
+function getPageUrl() {
+  const prefix = `${chrome.runtime.getURL(BLOCKED_PAGE_PATH)}?url=`;
+  const href = window.location.href;
+  return href.startsWith(prefix) ? href.slice(prefix.length) : href;
+}
+
+/**
+ * Load settings from the background
+ */
+async function loadSettings() {
+  try {
+    settings = await chrome.runtime.sendMessage({ action: 'getSettings' });
+  } catch (e) {
+    // Keep the previous settings (or defaults) if the background is unavailable
+    console.warn('[Blocker] Could not load settings:', e.message);
+  }
+}
+
+/**
+ * Get the unlock phrase for the recognition language.
+ * Languages without their own phrase use settings.unlockPhrase.
+ */
+function getUnlockPhrase() {
+  const locale = getLocale();
+  
+  // Random phrases are written in the recognition language
+  if (poolPhrase && locale === settings.locale) return poolPhrase.text;
+  
+  const entry = settings && settings.phrases.find(p => p.locale === locale);
+  if (entry) return entry.phrase;
+  
+  return (settings && settings.unlockPhrase) || DEFAULT_UNLOCK_PHRASE;
+}
+
+/**
+ * Get the language speech is recognised in
+ */
+function getLocale() {
+  const locales = getAvailableLocales();
+  if (selectedLocale && locales.includes(selectedLocale)) return selectedLocale;
+  return locales[0];
+}
+
+/**
+ * Languages the user can unlock in: the default one plus any with a phrase
+ */
+function getAvailableLocales() {
+  if (!settings) return [DEFAULT_LOCALE];
+  
+  const locales = [settings.locale, ...settings.phrases.map(p => p.locale)];
+  return [...new Set(locales)];
+}
+
+/**
+ * Get the phrase the next unlock requires, repeated when escalation demands it
+ */
+function getRequiredPhrase() {
+  const repeats = unlockBudget ? unlockBudget.phraseRepeats : 1;
+  const phrases = Array(repeats).fill(getUnlockPhrase());
+  
+  if (challengeWord) {
+    phrases.push(challengeWord);
+  }
+  
+  return phrases.join(' ');
+}
+
+/**
+ * Pick a random phrase from the pool with its placeholders filled in,
+ * or none when random phrases are off
+ */
+function pickPoolPhrase() {
+  if (!settings || !settings.randomPhrase || settings.phrasePool.length === 0) return null;
+  
+  const entry = pickRandom(settings.phrasePool);
+  const text = entry.text
+    .replace(/\{site\}/g, () => getSiteName())
+    .replace(/\{goal\}/g, () => pickRandom(settings.goals));
+  
+  return { text: text.toLowerCase(), tierBonus: entry.tierBonus };
+}
+
+/**
+ * Tiers the current phrase adds to the unlock
+ */
+function getTierBonus() {
+  return poolPhrase && getLocale() === settings.locale ? poolPhrase.tierBonus : 0;
+}
+
+/**
+ * Raise a volume tier by the phrase's bonus, up to the top tier
+ */
+function applyTierBonus(mapping) {
+  if (!mapping) return mapping;
+  
+  const tiers = getSortedTiers();
+  const rank = Math.min(tiers.indexOf(mapping) + getTierBonus(), tiers.length - 1);
+  return tiers[rank];
+}
+
+/**
+ * Name of the blocked site as it would be spoken (e.g. "YouTube")
+ */
+function getSiteName() {
+  const site = settings.blockedSites.find(s => s.domain === currentDomain);
+  if (site && site.name) {
+    return site.name.replace(/\s*\(.*?\)/g, '');
   }
+  
+  // Fall back to the main part of the hostname: www.youtube.com -> youtube
+  const labels = new URL(getPageUrl()).hostname.replace(/^www\./, '').split('.');
+  return labels.length > 1 ? labels[labels.length - 2] : labels[0];
+}
+
+/**
+ * Pick a new challenge word, or none when playback protection is off
+ */
+function pickChallengeWord() {
+  if (!settings || settings.antiCheat === 'off') return null;
+  
+  if (getLocale().toLowerCase().startsWith('en')) {
+    return pickRandom(CHALLENGE_WORDS);
+  }
+  return String(10 + Math.floor(Math.random() * 90));
+}
+
+/**
+ * Apply settings pushed by the background to the open overlay
+ */
+function applySettings(newSettings) {
+  settings = newSettings;
+  if (!isListening) {
+    poolPhrase = pickPoolPhrase();
+  }
+  renderLocalePicker();
+  renderUnlockMethods();
+  updatePhraseDisplay();
+  
+  if (isOverlayVisible) {
+    refreshUnlockBudget();
+  }
+}
+
+/**
+ * Show the required phrase in the overlay
+ */
+function updatePhraseDisplay() {
+  const phraseElement = document.querySelector('#distraction-blocker-overlay .blocker-phrase strong');
+  if (phraseElement) {
+    phraseElement.textContent = formatPhrase(getRequiredPhrase());
+  }
+  
+  const bonusElement = document.getElementById('blocker-phrase-bonus');
+  if (bonusElement) {
+    const bonus = getTierBonus();
+    bonusElement.textContent = `🎁 This phrase unlocks ${bonus} tier${bonus === 1 ? '' : 's'} higher`;
+    bonusElement.classList.toggle('hidden', bonus === 0);
+  }
+}
+
+/**
+ * Offer a language picker when phrases exist for more than one language
+ */
+function renderLocalePicker() {
+  const picker = document.getElementById('blocker-locale');
+  if (!picker) return;
+  
+  const locales = getAvailableLocales();
+  const current = getLocale();
+  
+  picker.innerHTML = locales
+    .map(locale => `<option value="${escapeHtml(locale)}"${locale === current ? ' selected' : ''}>${escapeHtml(getLocaleName(locale))}</option>`)
+    .join('');
+  picker.classList.toggle('hidden', locales.length < 2);
 }
 
 // ============================================================================
 // MESSAGE HANDLING
 // ============================================================================
 
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+// On the blocked page this script runs as an extension page, which hears every
+// runtime message in the extension. Only the background's overlay messages are
+// handled, and none are answered, so the popup's and other tabs' requests
+// still get the background's reply.
+chrome.runtime.onMessage.addListener((message, sender) => {
+  if (!isFromBackground(sender)) return;
+  
   switch (message.action) {
     case 'showBlockOverlay':
       currentDomain = message.domain;
+      // The unlock may have been ended early (e.g. by a focus session)
+      stopCountdownDisplay();
+      if (isExtending) hideBlockOverlay();
       showBlockOverlay();
       break;
       
     case 'hideBlockOverlay':
       hideBlockOverlay();
-      if (message.remainingTime > 0) {
-        startCountdownDisplay(message.remainingTime);
-      }
+      stopCountdownDisplay();
       break;
       
     case 'updateCountdown':
-      updateCountdown(message.remainingTime);
+      if (message.domain) currentDomain = message.domain;
+      updateCountdown(message.unlockedUntil, message.grace);
+      break;
+      
+    case 'showExtendOverlay':
+      currentDomain = message.domain;
+      showExtendOverlay();
+      break;
+      
+    case 'settingsChanged':
+      applySettings(message.settings);
+      break;
+      
+    case 'focusSessionChanged':
+      if (isOverlayVisible) {
+        refreshUnlockBudget();
+      }
       break;
   }
-  sendResponse({ received: true });
-  return true;
 });
 
+/**
+ * Whether a message came from the background rather than a tab or another
+ * extension page (e.g. the popup)
+ */
+function isFromBackground(sender) {
+  return !sender.tab && (!sender.url || sender.url === chrome.runtime.getURL(BACKGROUND_PATH));
+}
+
 // ============================================================================
 // OVERLAY UI
 // ============================================================================
@@ -92,6 +407,8 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 function showBlockOverlay() {
   if (isOverlayVisible) return;
   
+  poolPhrase = pickPoolPhrase();
+  
   // Create overlay container
   overlayElement = document.createElement('div');
   overlayElement.id = 'distraction-blocker-overlay';
@@ -103,30 +420,80 @@ function showBlockOverlay() {
   
   // Attach event listeners
   attachOverlayEventListeners();
+  renderLocalePicker();
+  renderUnlockMethods();
   
   isOverlayVisible = true;
+  refreshUnlockBudget();
   
-  // Prevent scrolling
+  // Prevent scrolling, and stop whatever was playing
   document.body.style.overflow = 'hidden';
+  pauseMedia();
+  document.addEventListener('play', handleMediaPlay, true);
+  
+  // Count the block once per page load or navigation, not once per frame or
+  // each time the overlay comes back
+  if (window === window.top && !isExtending && getPageUrl() !== recordedBlockUrl) {
+    recordedBlockUrl = getPageUrl();
+    chrome.runtime.sendMessage({ action: 'recordBlock', domain: currentDomain })
+      .catch(() => {});
+  }
   
   console.log('[Blocker] Overlay shown for domain:', currentDomain);
 }
 
+/**
+ * Pause every audio and video element on the page
+ */
+function pauseMedia() {
+  document.querySelectorAll('video, audio').forEach(media => media.pause());
+}
+
+/**
+ * Pause media the page starts while the overlay is up ('play' does not
+ * bubble, so this listens in the capture phase)
+ */
+function handleMediaPlay(e) {
+  if (e.target instanceof HTMLMediaElement) {
+    e.target.pause();
+  }
+}
+
+/**
+ * Show the overlay over an unlocked site to add time by unlocking it again
+ */
+function showExtendOverlay() {
+  if (isOverlayVisible) return;
+  
+  isExtending = true;
+  showBlockOverlay();
+}
+
 /**
  * Create overlay HTML
  */
 function createOverlayHTML() {
-  return `
-    <div class="blocker-content">
-      <div class="blocker-icon"></div>
-      <h1 class="blocker-title">SITE BLOCKED</h1>
+  const intro = isExtending
+    ? `<h1 class="blocker-title">EXTEND UNLOCK</h1>
+      <p class="blocker-domain">${escapeHtml(currentDomain)}</p>
+      <p class="blocker-message">
+        Unlock it again by voice to add the time you earn<br>
+        to the time you have left.
+      </p>`
+    : `<h1 class="blocker-title">SITE BLOCKED</h1>
       <p class="blocker-domain">${escapeHtml(currentDomain)}</p>
       <p class="blocker-message">
         This site is blocked to help you stay focused.<br>
         Want to access it anyway? You know what to do...
-      </p>
+      </p>`;
+  
+  return `
+    <div class="blocker-content">
+      <div class="blocker-icon"></div>
+      ${intro}
       
       <div class="blocker-unlock-section">
+        <select id="blocker-locale" class="blocker-select hidden" title="Language"></select>
         <button id="blocker-voice-btn" class="blocker-btn">
            Voice Unlock
         </button>
@@ -135,6 +502,18 @@ function createOverlayHTML() {
           Say the magic words <em>loudly</em> to unlock.<br>
           The louder you say it, the longer you get!
         </p>
+        <div id="blocker-methods" class="blocker-methods hidden"></div>
+        <div id="blocker-focus" class="blocker-focus hidden">
+          <p class="countdown-label">🧘 Focus session. No unlocks for:</p>
+          <div class="countdown-timer">
+            <span id="focus-countdown-value">00:00</span>
+          </div>
+        </div>
+        <div id="blocker-budget" class="blocker-budget hidden"></div>
+        <button id="blocker-mic-btn" class="blocker-btn secondary hidden">
+          🎤 Allow Microphone
+        </button>
+        ${isExtending ? '<button id="blocker-close-btn" class="blocker-btn secondary">Keep browsing</button>' : ''}
       </div>
       
       <div id="blocker-listening" class="blocker-listening hidden">
@@ -143,7 +522,8 @@ function createOverlayHTML() {
           <div class="mic-icon">🎤</div>
         </div>
         <p class="listening-text">Listening...</p>
-        <p class="blocker-phrase">Say: "<strong>I'm a loser</strong>"</p>
+        <p class="blocker-phrase">Say: "<strong>${escapeHtml(formatPhrase(getRequiredPhrase()))}</strong>"</p>
+        <p id="blocker-phrase-bonus" class="blocker-phrase-bonus hidden"></p>
         <div class="volume-meter">
           <div id="volume-bar" class="volume-bar"></div>
         </div>
@@ -151,9 +531,15 @@ function createOverlayHTML() {
         <button id="blocker-cancel-btn" class="blocker-btn secondary">Cancel</button>
       </div>
       
+      <div id="blocker-method-panel" class="blocker-method-panel hidden">
+        <div class="method-body"></div>
+        <button id="blocker-method-cancel" class="blocker-btn secondary">Cancel</button>
+      </div>
+      
       <div id="blocker-result" class="blocker-result hidden">
         <div class="result-icon"></div>
         <p class="result-message"></p>
+        <p class="result-words"></p>
       </div>
       
       <div id="blocker-countdown" class="blocker-countdown hidden">
@@ -180,10 +566,109 @@ function hideBlockOverlay() {
   }
   
   isOverlayVisible = false;
+  isExtending = false;
   document.body.style.overflow = '';
+  document.removeEventListener('play', handleMediaPlay, true);
   
   // Clean up audio
   stopListening();
+  endUnlockMethod();
+  
+  if (focusInterval) {
+    clearInterval(focusInterval);
+    focusInterval = null;
+  }
+  
+  // The hard-block page has nothing behind the overlay, so go to the real site
+  if (isBlockedPage()) {
+    window.location.replace(getPageUrl());
+  }
+}
+
+/**
+ * Fetch today's unlock budget and show it before the user starts unlocking
+ */
+async function refreshUnlockBudget() {
+  try {
+    unlockBudget = await chrome.runtime.sendMessage({
+      action: 'getUnlockBudget',
+      domain: currentDomain,
+      extend: isExtending
+    });
+  } catch (e) {
+    return;
+  }
+  
+  const budgetElement = document.getElementById('blocker-budget');
+  const voiceBtn = document.getElementById('blocker-voice-btn');
+  if (!budgetElement) return;
+  
+  const lines = [];
+  const unlockNumber = unlockBudget.unlocksToday + 1;
+  
+  if (unlockBudget.remainingSeconds === 0) {
+    lines.push('🚫 No unlock time left today. Come back tomorrow!');
+  } else if (unlockBudget.remainingSeconds !== null) {
+    lines.push(`⏳ Unlock time left today: ${formatDuration(unlockBudget.remainingSeconds)}`);
+  }
+  
+  if (unlockBudget.remainingSeconds !== 0 && settings) {
+    if (unlockBudget.minTierRank > 0) {
+      const required = getSortedTiers()[unlockBudget.minTierRank];
+      lines.push(`📈 Unlock #${unlockNumber} today: at least ${required.label} ${required.emoji}`);
+    }
+    if (unlockBudget.phraseRepeats > 1) {
+      lines.push(`📈 Unlock #${unlockNumber} today: say it ${unlockBudget.phraseRepeats} times`);
+    }
+    if (unlockBudget.durationFactor < 1) {
+      lines.push(`📉 Unlock #${unlockNumber} today: ${Math.round(unlockBudget.durationFactor * 100)}% of the usual time`);
+    }
+  }
+  
+  budgetElement.innerHTML = lines.map(line => `<p>${escapeHtml(line)}</p>`).join('');
+  budgetElement.classList.toggle('hidden', lines.length === 0);
+  
+  if (voiceBtn) {
+    voiceBtn.disabled = unlockBudget.remainingSeconds === 0;
+  }
+  
+  updatePhraseDisplay();
+  renderFocusSession();
+}
+
+/**
+ * While a focus session runs, replace the unlock options with a countdown
+ * to its end
+ */
+function renderFocusSession() {
+  const focusElement = document.getElementById('blocker-focus');
+  const valueElement = document.getElementById('focus-countdown-value');
+  if (!focusElement || !valueElement) return;
+  
+  if (focusInterval) {
+    clearInterval(focusInterval);
+    focusInterval = null;
+  }
+  
+  const endsAt = unlockBudget && unlockBudget.focusEndsAt;
+  focusElement.classList.toggle('hidden', !endsAt);
+  renderUnlockMethods();
+  
+  if (!endsAt) return;
+  
+  const update = () => {
+    const remaining = Math.max(0, Math.ceil((endsAt - Date.now()) / 1000));
+    valueElement.textContent = formatDuration(remaining);
+    
+    if (remaining === 0) {
+      clearInterval(focusInterval);
+      focusInterval = null;
+      refreshUnlockBudget();
+    }
+  };
+  
+  update();
+  focusInterval = setInterval(update, 1000);
 }
 
 /**
@@ -192,409 +677,1050 @@ function hideBlockOverlay() {
 function attachOverlayEventListeners() {
   const voiceBtn = document.getElementById('blocker-voice-btn');
   const cancelBtn = document.getElementById('blocker-cancel-btn');
+  const micBtn = document.getElementById('blocker-mic-btn');
+  const localePicker = document.getElementById('blocker-locale');
+  const methods = document.getElementById('blocker-methods');
+  const methodCancelBtn = document.getElementById('blocker-method-cancel');
+  const closeBtn = document.getElementById('blocker-close-btn');
+  
+  // Only there when extending: the site is still unlocked behind the overlay
+  if (closeBtn) {
+    closeBtn.addEventListener('click', hideBlockOverlay);
+  }
+  
+  if (methods) {
+    methods.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-method]');
+      if (button) startUnlockMethod(button.dataset.method);
+    });
+  }
+  
+  if (methodCancelBtn) {
+    methodCancelBtn.addEventListener('click', () => {
+      endUnlockMethod();
+      resetUnlockUI();
+    });
+  }
+  
+  if (localePicker) {
+    localePicker.addEventListener('change', () => {
+      selectedLocale = localePicker.value;
+      updatePhraseDisplay();
+    });
+  }
+  
+  if (voiceBtn) {
+    voiceBtn.addEventListener('click', startVoiceUnlock);
+  }
+  
+  if (micBtn) {
+    micBtn.addEventListener('click', () => {
+      chrome.runtime.sendMessage({ action: 'openMicPermission' });
+      micBtn.classList.add('hidden');
+    });
+  }
+  
+  if (cancelBtn) {
+    cancelBtn.addEventListener('click', cancelVoiceUnlock);
+  }
+}
+
+// ============================================================================
+// VOICE UNLOCK & VOLUME DISPLAY
+// ============================================================================
+
+/**
+ * Start voice unlock process.
+ * Microphone capture and speech recognition run in the extension's offscreen
+ * document; this page only receives volume levels and transcripts.
+ */
+async function startVoiceUnlock() {
+  console.log('[Blocker] Starting voice unlock');
+  
+  // The overlay may have been shown before init() finished loading settings
+  if (!settings) {
+    await loadSettings();
+  }
+  
+  // Another tab may have used up the budget since the overlay appeared
+  await refreshUnlockBudget();
+  
+  if (unlockBudget && unlockBudget.remainingSeconds === 0) {
+    showResult(false, 'No unlock time left today. Come back tomorrow!');
+    return;
+  }
+  
+  // A fresh phrase and challenge word each attempt
+  poolPhrase = pickPoolPhrase();
+  challengeWord = pickChallengeWord();
+  updatePhraseDisplay();
+  
+  // Show listening UI
+  document.querySelector('.blocker-unlock-section').classList.add('hidden');
+  document.getElementById('blocker-listening').classList.remove('hidden');
+  
+  isListening = true;
+  
+  voicePort = chrome.runtime.connect({ name: VOICE_PORT_NAME });
+  voicePort.onMessage.addListener(handleVoiceMessage);
+  voicePort.onDisconnect.addListener(() => {
+    voicePort = null;
+    if (isListening) {
+      handleVoiceError('disconnected');
+    }
+  });
+  
+  voicePort.postMessage({ action: 'start', lang: getLocale() });
+}
+
+/**
+ * Handle volume levels, transcripts and errors from the audio pipeline
+ */
+function handleVoiceMessage(message) {
+  switch (message.action) {
+    case 'level':
+      updateVolumeDisplay(toTierLevel(message.db), message.speaking);
+      break;
+      
+    case 'result':
+      console.log('[Blocker] Heard:', message.transcript);
+      
+      if (message.isFinal) {
+        validatePhrase(message.alternatives, message.phraseDb, message.suspicion || []);
+      }
+      break;
+      
+    case 'error':
+      handleVoiceError(message.error);
+      break;
+      
+    case 'ended':
+      if (isListening) {
+        console.log('[Blocker] Recognition ended, no valid phrase detected');
+      }
+      break;
+  }
+}
+
+/**
+ * Show a voice unlock error, then return to the unlock button
+ */
+function handleVoiceError(error) {
+  console.error('[Blocker] Voice unlock error:', error);
+  
+  const messages = {
+    'not-supported': 'Speech recognition not supported in this browser',
+    'not-allowed': 'The extension needs microphone access. Use the button below to allow it once.',
+    'no-speech': 'No speech detected. Please try again and speak clearly.',
+    'audio-capture': 'Could not access microphone. Is one connected?',
+    'aborted': 'Voice unlock was started in another tab.',
+    'disconnected': 'Voice unlock stopped unexpectedly. Please try again.'
+  };
+  
+  stopListening();
+  
+  const otherWays = getUnlockMethods().some(method => method !== 'voice');
+  const hint = otherWays && error !== 'aborted' ? ' Or try another way below.' : '';
+  showResult(false, (messages[error] || `Error: ${error}. Please try again.`) + hint);
+  
+  if (error === 'not-allowed') {
+    const micBtn = document.getElementById('blocker-mic-btn');
+    if (micBtn) micBtn.classList.remove('hidden');
+  }
+  
+  setTimeout(resetUnlockUI, 3000);
+}
+
+/**
+ * Update volume display in UI, marking whether the level is speech or silence
+ */
+function updateVolumeDisplay(db, speaking) {
+  const volumeBar = document.getElementById('volume-bar');
+  const volumeLabel = document.getElementById('volume-label');
+  
+  if (!volumeBar || !volumeLabel) return;
+  
+  // Normalize dB to percentage (assuming -60dB to 0dB range)
+  const percentage = Math.max(0, Math.min(100, ((db + 60) / 60) * 100));
+  
+  volumeBar.style.width = `${percentage}%`;
+  
+  // Silence never counts towards the unlock, so it is shown apart from speech
+  if (!speaking) {
+    volumeBar.style.backgroundColor = '#666';
+    volumeLabel.textContent = '🤫 Silence (not counted)';
+    return;
+  }
+  
+  // Color based on volume
+  if (percentage < 30) {
+    volumeBar.style.backgroundColor = '#ff6b6b';
+  } else if (percentage < 60) {
+    volumeBar.style.backgroundColor = '#ffd93d';
+  } else {
+    volumeBar.style.backgroundColor = '#6bcb77';
+  }
+  
+  // Get volume label
+  const mapping = applyTierBonus(getVolumeDurationMapping(db));
+  if (!mapping) return;
+  
+  volumeLabel.textContent = `🗣️ Speech: ${mapping.label} ${mapping.emoji} (${getEffectiveDuration(mapping)}s unlock)`;
+}
+
+/**
+ * Convert a measured level (dBFS) to the tier scale.
+ * After calibration the user's normal voice lands on NORMAL_SPEECH_LEVEL,
+ * whatever the microphone's sensitivity.
+ */
+function toTierLevel(db) {
+  if (!settings || settings.calibrationDb === null) return db;
+  return db - settings.calibrationDb + NORMAL_SPEECH_LEVEL;
+}
+
+/**
+ * Get the volume tiers sorted from quietest to loudest (none before settings load)
+ */
+function getSortedTiers() {
+  if (!settings) return [];
+  
+  return [...settings.volumeTiers].sort((a, b) => a.minDb - b.minDb);
+}
+
+/**
+ * Get the time a tier would actually grant after escalation and budget
+ */
+function getEffectiveDuration(tier) {
+  if (!unlockBudget) return tier.duration;
+  
+  const duration = Math.max(1, Math.round(tier.duration * unlockBudget.durationFactor));
+  return unlockBudget.remainingSeconds === null
+    ? duration
+    : Math.min(duration, unlockBudget.remainingSeconds);
+}
+
+/**
+ * Get unlock duration based on volume, or null before settings load
+ */
+function getVolumeDurationMapping(db) {
+  const tiers = getSortedTiers();
+  if (tiers.length === 0) return null;
+  
+  for (const mapping of tiers) {
+    if (db >= mapping.minDb && db < mapping.maxDb) {
+      return mapping;
+    }
+  }
+  
+  // Louder than the top tier gets the top tier
+  if (db >= tiers[tiers.length - 1].maxDb) {
+    return tiers[tiers.length - 1];
+  }
+  
+  // Default to lowest if very quiet
+  return tiers[0];
+}
+
+/**
+ * Volume of the spoken phrase on the tier scale.
+ * phraseDb is measured by the offscreen voice activity detection over the
+ * speech that was recognised, or null if it heard none.
+ */
+function calculateAverageVolume(phraseDb) {
+  if (phraseDb === null || phraseDb === undefined) return -60;
+  return toTierLevel(phraseDb);
+}
+
+/**
+ * Validate the spoken phrase.
+ * Every recognition alternative is scored word by word; the best one counts.
+ * `suspicion` lists the reasons the audio sounded like playback, if any.
+ */
+async function validatePhrase(alternatives, phraseDb, suspicion) {
+  const phrase = getRequiredPhrase();
+  const locale = getLocale();
+  const best = alternatives
+    .map(transcript => ({ transcript, ...scorePhrase(transcript, phrase, locale) }))
+    .reduce((a, b) => (b.score > a.score ? b : a));
+  const transcript = best.transcript;
+  
+  console.log('[Blocker] Validating phrase:', transcript, 'score:', best.score);
+  
+  // The challenge word must be heard even when the threshold would forgive a missed word
+  const challengeMissed = Boolean(challengeWord) && !isChallengeHeard(best.words, locale);
+  const isMatch = best.score >= getMatchThreshold() && !challengeMissed;
+  
+  // Calculate unlock duration based on volume
+  const avgVolume = calculateAverageVolume(phraseDb);
+  const isSuspicious = suspicion.length > 0;
+  
+  stopListening();
+  
+  if (isMatch && isSuspicious && settings.antiCheat === 'refuse') {
+    recordFailedAttempt(avgVolume, transcript, suspicion);
+    showResult(false, `🤖 That sounded like a recording (${describeSuspicion(suspicion)}). Say it yourself!`);
+    setTimeout(resetUnlockUI, 3000);
+  } else if (isMatch) {
+    // Suspected playback only earns the quietest tier, whatever the phrase
+    const mapping = isSuspicious
+      ? getSortedTiers()[0]
+      : applyTierBonus(getVolumeDurationMapping(avgVolume));
+    
+    console.log('[Blocker] Phrase matched! Avg volume:', avgVolume, 'Duration:', mapping.duration);
+    
+    // Unlock the site (the background applies budget and escalation)
+    const result = await chrome.runtime.sendMessage({
+      action: 'unlockSite',
+      domain: currentDomain,
+      tierRank: getSortedTiers().indexOf(mapping),
+      avgDb: avgVolume,
+      transcript,
+      suspicion: isSuspicious ? suspicion : undefined,
+      extend: isExtending
+    });
+    
+    const note = isSuspicious ? ` (sounded ${describeSuspicion(suspicion)}, so lowest tier only)` : '';
+    const verb = result.extended ? 'Added' : 'Unlocked for';
+    showUnlockResult(result, `${mapping.emoji} ${verb} ${formatDuration(result.duration)}!${note}`);
+    if (result.success) {
+      showPhraseWords(best.words);
+    }
+  } else {
+    recordFailedAttempt(avgVolume, transcript, isSuspicious ? suspicion : undefined);
+    
+    showResult(false, challengeMissed && best.score >= getMatchThreshold()
+      ? `Missed the challenge word "${challengeWord}"! You said: "${transcript}"`
+      : `Wrong phrase! You said: "${transcript}"`);
+    showPhraseWords(best.words);
+    setTimeout(resetUnlockUI, 3000);
+  }
+}
+
+/**
+ * Show the background's answer to an unlock request. On success the overlay
+ * is hidden after a short delay; otherwise the user can try again.
+ */
+function showUnlockResult(result, successMessage) {
+  if (result.success) {
+    showResult(true, successMessage);
+    
+    // Hide overlay after a short delay
+    setTimeout(() => {
+      hideBlockOverlay();
+      startCountdownDisplay(result.unlockedUntil);
+    }, 2000);
+  } else {
+    showResult(false, result.error || 'Failed to unlock. Please try again.');
+    setTimeout(() => {
+      resetUnlockUI();
+      refreshUnlockBudget();
+    }, 2000);
+  }
+}
+
+/**
+ * Count a failed unlock in the statistics
+ */
+function recordFailedAttempt(avgDb, transcript, suspicion) {
+  chrome.runtime.sendMessage({
+    action: 'recordUnlockAttempt',
+    domain: currentDomain,
+    avgDb,
+    transcript,
+    suspicion
+  }).catch(() => {});
+}
+
+/**
+ * Whether the words of the challenge (at the end of the phrase) were all heard
+ */
+function isChallengeHeard(words, locale) {
+  const challengeLength = normalizeWords(challengeWord, locale).length;
+  return words.slice(-challengeLength).every(word => word.matched);
+}
+
+/**
+ * Describe why an attempt sounded like playback
+ */
+function describeSuspicion(suspicion) {
+  return suspicion.map(reason => SUSPICION_LABELS[reason] || reason).join(', ');
+}
+
+/**
+ * Show which words of the phrase were heard (✓) and which were missed
+ */
+function showPhraseWords(words) {
+  const container = document.querySelector('#blocker-result .result-words');
+  if (!container) return;
+  
+  container.innerHTML = words
+    .map(({ word, matched }) =>
+      `<span class="${matched ? 'word-matched' : 'word-missed'}">${escapeHtml(word)}</span>`
+    )
+    .join(' ');
+}
+
+/**
+ * Cancel voice unlock process
+ */
+function cancelVoiceUnlock() {
+  stopListening();
+  resetUnlockUI();
+}
+
+/**
+ * Stop all audio/recognition processes
+ */
+function stopListening() {
+  isListening = false;
+  
+  if (voicePort) {
+    voicePort.postMessage({ action: 'stop' });
+    voicePort.disconnect();
+    voicePort = null;
+  }
+}
+
+/**
+ * Reset the unlock UI to initial state
+ */
+function resetUnlockUI() {
+  const unlockSection = document.querySelector('.blocker-unlock-section');
+  const listening = document.getElementById('blocker-listening');
+  const methodPanel = document.getElementById('blocker-method-panel');
+  const result = document.getElementById('blocker-result');
+  
+  if (unlockSection) unlockSection.classList.remove('hidden');
+  if (listening) listening.classList.add('hidden');
+  if (methodPanel) methodPanel.classList.add('hidden');
+  if (result) result.classList.add('hidden');
+}
+
+/**
+ * Show result message
+ */
+function showResult(success, message) {
+  const listening = document.getElementById('blocker-listening');
+  const result = document.getElementById('blocker-result');
+  
+  if (listening) listening.classList.add('hidden');
+  if (result) {
+    result.classList.remove('hidden');
+    result.querySelector('.result-icon').textContent = success ? '✅' : '❌';
+    result.querySelector('.result-message').textContent = message;
+    result.querySelector('.result-words').innerHTML = '';
+  }
+}
+
+// ============================================================================
+// COUNTDOWN DISPLAY
+// ============================================================================
+
+/**
+ * Start displaying countdown timer to the end of the unlock. The time left is
+ * worked out from the timestamp on every tick, so throttled or suspended tabs
+ * catch up as soon as they run again.
+ */
+function startCountdownDisplay(unlockedUntil, grace = false) {
+  // Create floating countdown if not in overlay
+  if (!isOverlayVisible) {
+    createFloatingCountdown();
+  }
+  
+  // Warnings already given for this end time are not flashed again
+  if (unlockedUntil !== countdownUntil || Boolean(grace) !== countdownGrace) {
+    warningLevel = 0;
+  }
+  countdownUntil = unlockedUntil;
+  countdownGrace = Boolean(grace);
+  
+  // Clear any existing interval
+  if (countdownInterval) {
+    clearInterval(countdownInterval);
+  }
+  
+  countdownInterval = setInterval(tickCountdown, 1000);
+  tickCountdown();
+}
+
+/**
+ * Show the time left, and ask the background once it has run out
+ */
+function tickCountdown() {
+  const remaining = Math.ceil((countdownUntil - Date.now()) / 1000);
+  
+  if (remaining > 0) {
+    updateCountdownValue(remaining);
+    updateCountdownWarning(remaining);
+    return;
+  }
+  
+  stopCountdownDisplay();
+  
+  // The background decides whether the unlock really ended (it may have been extended)
+  recheckBlockStatus();
+}
+
+/**
+ * Follow a change to the unlock's end time made elsewhere (another tab, the popup)
+ */
+function updateCountdown(unlockedUntil, grace = false) {
+  if (!unlockedUntil || unlockedUntil <= Date.now()) {
+    stopCountdownDisplay();
+    recheckBlockStatus();
+    return;
+  }
+  
+  if (isOverlayVisible) hideBlockOverlay();
+  startCountdownDisplay(unlockedUntil, grace);
+}
+
+/**
+ * Stop the countdown and remove the floating display
+ */
+function stopCountdownDisplay() {
+  if (countdownInterval) {
+    clearInterval(countdownInterval);
+    countdownInterval = null;
+  }
+  countdownUntil = null;
+  removeFloatingCountdown();
+}
+
+/**
+ * Create floating countdown element
+ */
+function createFloatingCountdown() {
+  let floating = document.getElementById('blocker-floating-countdown');
+  
+  if (!floating) {
+    floating = document.createElement('div');
+    floating.id = 'blocker-floating-countdown';
+    floating.className = 'blocker-floating';
+    floating.innerHTML = `
+      <span class="floating-label">⏱️ Auto-block in: </span>
+      <span id="floating-countdown-value">00:00</span>
+      ${getUnlockMethods().includes('voice')
+        ? '<button class="floating-btn" data-action="extend" title="Unlock again to add time">➕</button>'
+        : ''}
+      <button class="floating-btn" data-action="lock" title="Lock now">🔒</button>
+    `;
+    floating.addEventListener('click', handleFloatingAction);
+    document.body.appendChild(floating);
+  }
+}
+
+/**
+ * Mark the floating countdown once it passes an expiry warning, and flash it
+ * as each one is passed. The grace period has its own look.
+ */
+function updateCountdownWarning(remaining) {
+  const floating = document.getElementById('blocker-floating-countdown');
+  if (!floating) return;
+  
+  const warnings = settings ? settings.expiryWarnings : [];
+  const level = warnings.filter(seconds => remaining <= seconds).length;
+  
+  floating.classList.toggle('grace', countdownGrace);
+  floating.classList.toggle('warning', level > 0 && !countdownGrace);
+  floating.querySelector('.floating-label').textContent = countdownGrace
+    ? '⏳ Grace period, blocking in: '
+    : level > 0 ? '⚠️ Blocking in: ' : '⏱️ Auto-block in: ';
+  
+  if (level > warningLevel) {
+    // Restart the animation
+    floating.classList.remove('flash');
+    void floating.offsetWidth;
+    floating.classList.add('flash');
+  }
+  warningLevel = level;
+}
+
+/**
+ * Lock the site now or start extending the unlock from the floating countdown
+ */
+function handleFloatingAction(e) {
+  const button = e.target.closest('[data-action]');
+  if (!button) return;
+  
+  if (button.dataset.action === 'extend') {
+    showExtendOverlay();
+    return;
+  }
+  
+  // The background ends the unlock and shows the overlay in every tab
+  chrome.runtime.sendMessage({ action: 'lockSite', domain: currentDomain })
+    .catch(() => {});
+}
+
+/**
+ * Remove floating countdown
+ */
+function removeFloatingCountdown() {
+  const floating = document.getElementById('blocker-floating-countdown');
+  if (floating) {
+    floating.remove();
+  }
+}
+
+/**
+ * Update countdown value in UI
+ */
+function updateCountdownValue(seconds) {
+  const formatted = formatDuration(seconds);
   
-  if (voiceBtn) {
-    voiceBtn.addEventListener('click', startVoiceUnlock);
+  // Update in overlay if visible
+  const overlayCountdown = document.getElementById('countdown-value');
+  if (overlayCountdown) {
+    overlayCountdown.textContent = formatted;
   }
   
-  if (cancelBtn) {
-    cancelBtn.addEventListener('click', cancelVoiceUnlock);
+  // Update floating countdown
+  const floatingCountdown = document.getElementById('floating-countdown-value');
+  if (floatingCountdown) {
+    floatingCountdown.textContent = formatted;
   }
 }
 
 // ============================================================================
-// VOICE RECOGNITION & VOLUME DETECTION
+// ALTERNATIVE UNLOCK METHODS
 // ============================================================================
 
+// Unlock strategies besides voice. start(body, complete) renders the method
+// into the panel, calls complete() once the user is through and returns a
+// cleanup function. Each earns the tier in settings.methodTiers.
+const UNLOCK_STRATEGIES = {
+  confession: { label: 'Type a confession', icon: '✍️', start: startConfession },
+  cooldown: { label: 'Wait it out', icon: '⏳', start: startCooldown },
+  arithmetic: { label: 'Solve sums', icon: '🧮', start: startArithmetic },
+  typing: { label: 'Typing test', icon: '⌨️', start: startTypingTest }
+};
+
 /**
- * Start voice unlock process
+ * Get the unlock methods allowed for the current site
  */
-async function startVoiceUnlock() {
-  console.log('[Blocker] Starting voice unlock');
+function getUnlockMethods() {
+  if (!settings) return ['voice'];
   
-  // Check for browser support
-  const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-  
-  if (!SpeechRecognition) {
-    showResult(false, 'Speech recognition not supported in this browser');
-    return;
-  }
-  
-  // Show listening UI
-  document.querySelector('.blocker-unlock-section').classList.add('hidden');
-  document.getElementById('blocker-listening').classList.remove('hidden');
-  
-  try {
-    // Start audio capture for volume measurement
-    await startAudioCapture();
-    
-    // Start speech recognition
-    startSpeechRecognition(SpeechRecognition);
-    
-    isListening = true;
-  } catch (error) {
-    console.error('[Blocker] Error starting voice unlock:', error);
-    showResult(false, 'Could not access microphone. Please allow microphone access.');
-    cancelVoiceUnlock();
-  }
+  const site = settings.blockedSites.find(s => s.domain === currentDomain);
+  return site && site.unlockMethods && site.unlockMethods.length > 0
+    ? site.unlockMethods
+    : settings.unlockMethods;
 }
 
 /**
- * Start capturing audio for volume measurement
+ * Show the voice button and a button per other allowed method
  */
-async function startAudioCapture() {
-  audioContext = new (window.AudioContext || window.webkitAudioContext)();
-  analyser = audioContext.createAnalyser();
-  analyser.fftSize = 256;
+function renderUnlockMethods() {
+  const container = document.getElementById('blocker-methods');
+  const voiceBtn = document.getElementById('blocker-voice-btn');
+  const hint = document.querySelector('#distraction-blocker-overlay .blocker-hint');
+  if (!container) return;
   
-  const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-  microphone = audioContext.createMediaStreamSource(stream);
-  microphone.connect(analyser);
+  // Nothing can be unlocked during a focus session, and extending takes a voice unlock
+  let methods = unlockBudget && unlockBudget.focusEndsAt ? [] : getUnlockMethods();
+  if (isExtending) {
+    methods = methods.filter(method => method === 'voice');
+  }
+  const hasVoice = methods.includes('voice');
+  const others = methods.filter(method => UNLOCK_STRATEGIES[method]);
   
-  volumeSamples = [];
+  if (voiceBtn) voiceBtn.classList.toggle('hidden', !hasVoice);
+  if (hint) hint.classList.toggle('hidden', !hasVoice);
   
-  // Start volume monitoring
-  monitorVolume();
+  container.innerHTML = (hasVoice && others.length > 0 ? '<p class="blocker-methods-label">or</p>' : '') +
+    others.map(method => {
+      const { label, icon } = UNLOCK_STRATEGIES[method];
+      return `<button class="blocker-btn secondary" data-method="${method}">${icon} ${escapeHtml(label)}</button>`;
+    }).join('');
+  container.classList.toggle('hidden', others.length === 0);
 }
 
 /**
- * Monitor volume levels continuously
+ * Run an alternative unlock method in the method panel
  */
-function monitorVolume() {
-  if (!isListening || !analyser) return;
+async function startUnlockMethod(method) {
+  if (!settings) {
+    await loadSettings();
+  }
   
-  const dataArray = new Uint8Array(analyser.frequencyBinCount);
-  analyser.getByteFrequencyData(dataArray);
+  await refreshUnlockBudget();
   
-  // Calculate RMS (Root Mean Square) for volume
-  let sum = 0;
-  for (let i = 0; i < dataArray.length; i++) {
-    sum += dataArray[i] * dataArray[i];
+  if (unlockBudget && unlockBudget.remainingSeconds === 0) {
+    showResult(false, 'No unlock time left today. Come back tomorrow!');
+    return;
   }
-  const rms = Math.sqrt(sum / dataArray.length);
   
-  // Convert to decibels (approximate)
-  const db = 20 * Math.log10(rms / 255);
-  
-  // Store sample
-  volumeSamples.push(db);
+  // The background times the wait too, and refuses an unlock that comes early
+  if (method === 'cooldown') {
+    await chrome.runtime.sendMessage({ action: 'startCooldown', domain: currentDomain });
+  }
   
-  // Update UI
-  updateVolumeDisplay(db);
+  const panel = document.getElementById('blocker-method-panel');
+  document.querySelector('.blocker-unlock-section').classList.add('hidden');
+  panel.classList.remove('hidden');
   
-  // Continue monitoring
-  if (isListening) {
-    requestAnimationFrame(monitorVolume);
-  }
+  stopUnlockMethod = UNLOCK_STRATEGIES[method].start(
+    panel.querySelector('.method-body'),
+    () => completeUnlockMethod(method)
+  );
 }
 
 /**
- * Update volume display in UI
+ * Ask the background to unlock once a method has been completed
  */
-function updateVolumeDisplay(db) {
-  const volumeBar = document.getElementById('volume-bar');
-  const volumeLabel = document.getElementById('volume-label');
-  
-  if (!volumeBar || !volumeLabel) return;
-  
-  // Normalize dB to percentage (assuming -60dB to 0dB range)
-  const percentage = Math.max(0, Math.min(100, ((db + 60) / 60) * 100));
+async function completeUnlockMethod(method) {
+  endUnlockMethod();
   
-  volumeBar.style.width = `${percentage}%`;
+  const result = await chrome.runtime.sendMessage({
+    action: 'unlockSite',
+    domain: currentDomain,
+    method
+  });
   
-  // Color based on volume
-  if (percentage < 30) {
-    volumeBar.style.backgroundColor = '#ff6b6b';
-  } else if (percentage < 60) {
-    volumeBar.style.backgroundColor = '#ffd93d';
-  } else {
-    volumeBar.style.backgroundColor = '#6bcb77';
+  showUnlockResult(result, `✅ Unlocked for ${formatDuration(result.duration)}!`);
+}
+
+/**
+ * Stop the method in progress and hide its panel
+ */
+function endUnlockMethod() {
+  if (stopUnlockMethod) {
+    stopUnlockMethod();
+    stopUnlockMethod = null;
   }
   
-  // Get volume label
-  const mapping = getVolumeDurationMapping(db);
-  volumeLabel.textContent = `Volume: ${mapping.label} ${mapping.emoji} (${mapping.duration}s unlock)`;
+  const panel = document.getElementById('blocker-method-panel');
+  if (panel) panel.classList.add('hidden');
 }
 
 /**
- * Get unlock duration based on volume
+ * Confession: type a humbling text exactly, without pasting
  */
-function getVolumeDurationMapping(db) {
-  for (const mapping of VOLUME_DURATION_MAP) {
-    if (db >= mapping.minDb && db < mapping.maxDb) {
-      return mapping;
-    }
-  }
-  // Default to lowest if very quiet
-  return VOLUME_DURATION_MAP[0];
+function startConfession(body, complete) {
+  const text = CONFESSION_TEXT.replace('{site}', getSiteName());
+  return startCopyTest(body, '✍️ Type this confession exactly:', text, complete);
 }
 
 /**
- * Calculate average volume from samples
+ * Typing test: type a list of random words exactly, without pasting
  */
-function calculateAverageVolume() {
-  if (volumeSamples.length === 0) return -60;
-  
-  // Remove outliers and calculate average
-  const sorted = [...volumeSamples].sort((a, b) => a - b);
-  const trimmed = sorted.slice(
-    Math.floor(sorted.length * 0.1),
-    Math.floor(sorted.length * 0.9)
-  );
-  
-  if (trimmed.length === 0) return sorted[Math.floor(sorted.length / 2)];
-  
-  const sum = trimmed.reduce((a, b) => a + b, 0);
-  return sum / trimmed.length;
+function startTypingTest(body, complete) {
+  const words = Array.from({ length: TYPING_TEST_WORDS }, () => pickRandom(CHALLENGE_WORDS));
+  return startCopyTest(body, '⌨️ Type these words exactly:', words.join(' '), complete);
 }
 
 /**
- * Start speech recognition
+ * Show a text to copy by hand and complete once it has been typed.
+ * Case and spacing do not matter; pasting and dropping text are blocked.
  */
-function startSpeechRecognition(SpeechRecognition) {
-  recognition = new SpeechRecognition();
-  recognition.continuous = false;
-  recognition.interimResults = true;
-  recognition.lang = 'en-US';
+function startCopyTest(body, title, text, complete) {
+  body.innerHTML = `
+    <p class="method-title">${escapeHtml(title)}</p>
+    <p class="method-text">${escapeHtml(text)}</p>
+    <textarea class="blocker-textarea" rows="4" autocomplete="off" spellcheck="false"></textarea>
+    <p class="method-progress"></p>
+  `;
   
-  recognition.onresult = (event) => {
-    let finalTranscript = '';
-    let interimTranscript = '';
-    
-    for (let i = event.resultIndex; i < event.results.length; i++) {
-      const transcript = event.results[i][0].transcript;
-      
-      if (event.results[i].isFinal) {
-        finalTranscript += transcript;
-      } else {
-        interimTranscript += transcript;
-      }
-    }
-    
-    console.log('[Blocker] Heard:', finalTranscript || interimTranscript);
-    
-    if (finalTranscript) {
-      validatePhrase(finalTranscript);
-    }
-  };
+  const input = body.querySelector('textarea');
+  const progress = body.querySelector('.method-progress');
+  const target = normalizeTyping(text);
+  
+  blockPasting(input);
   
-  recognition.onerror = (event) => {
-    console.error('[Blocker] Speech recognition error:', event.error);
+  input.addEventListener('input', () => {
+    const typed = normalizeTyping(input.value);
     
-    if (event.error === 'not-allowed') {
-      showResult(false, 'Microphone access denied. Please allow microphone access in your browser settings.');
-    } else if (event.error === 'no-speech') {
-      showResult(false, 'No speech detected. Please try again and speak clearly.');
-    } else {
-      showResult(false, `Error: ${event.error}. Please try again.`);
+    if (typed === target) {
+      complete();
+      return;
     }
     
-    cancelVoiceUnlock();
-  };
-  
-  recognition.onend = () => {
-    if (isListening) {
-      // Recognition ended without a result, restart or show error
-      console.log('[Blocker] Recognition ended, no valid phrase detected');
-    }
-  };
+    const onTrack = target.startsWith(typed);
+    progress.textContent = onTrack
+      ? `${typed.length} / ${target.length} characters`
+      : '❌ Typo! Fix it to continue.';
+    progress.classList.toggle('error', !onTrack);
+  });
   
-  recognition.start();
+  input.focus();
+  return () => {};
 }
 
 /**
- * Validate the spoken phrase
+ * Cooldown: wait with the tab visible and focused; the timer pauses otherwise
  */
-async function validatePhrase(transcript) {
-  const normalizedTranscript = transcript.toLowerCase().trim();
-  const normalizedPhrase = UNLOCK_PHRASE.toLowerCase().trim();
+function startCooldown(body, complete) {
+  let remaining = settings.cooldownSeconds;
   
-  console.log('[Blocker] Validating phrase:', normalizedTranscript);
+  body.innerHTML = `
+    <p class="method-title">⏳ Keep this tab open and focused</p>
+    <div class="countdown-timer"><span class="method-countdown"></span></div>
+    <p class="method-progress"></p>
+  `;
   
-  // Check for exact or close match
-  const isMatch = normalizedTranscript.includes(normalizedPhrase) ||
-    levenshteinDistance(normalizedTranscript, normalizedPhrase) <= 3;
+  const countdown = body.querySelector('.method-countdown');
+  const progress = body.querySelector('.method-progress');
   
-  if (isMatch) {
-    // Calculate unlock duration based on volume
-    const avgVolume = calculateAverageVolume();
-    const mapping = getVolumeDurationMapping(avgVolume);
+  const tick = () => {
+    const focused = document.visibilityState === 'visible' && document.hasFocus();
+    if (focused) remaining--;
     
-    console.log('[Blocker] Phrase matched! Avg volume:', avgVolume, 'Duration:', mapping.duration);
-    
-    stopListening();
-    
-    // Unlock the site
-    const result = await chrome.runtime.sendMessage({
-      action: 'unlockSite',
-      domain: currentDomain,
-      duration: mapping.duration
-    });
+    countdown.textContent = formatDuration(Math.max(0, remaining));
+    progress.textContent = focused ? 'Still sure you need this?' : '⏸️ Paused: come back to this tab';
     
-    if (result.success) {
-      showResult(true, `${mapping.emoji} Unlocked for ${formatDuration(mapping.duration)}!`);
-      
-      // Hide overlay after a short delay
-      setTimeout(() => {
-        hideBlockOverlay();
-        startCountdownDisplay(mapping.duration);
-      }, 2000);
-    } else {
-      showResult(false, 'Failed to unlock. Please try again.');
-      resetUnlockUI();
+    if (remaining <= 0) {
+      clearInterval(interval);
+      complete();
     }
-  } else {
-    showResult(false, `Wrong phrase! You said: "${transcript}"`);
-    setTimeout(resetUnlockUI, 2000);
-  }
+  };
+  
+  const interval = setInterval(tick, 1000);
+  countdown.textContent = formatDuration(remaining);
+  
+  return () => clearInterval(interval);
 }
 
 /**
- * Cancel voice unlock process
+ * Arithmetic: solve a number of sums in a row; a wrong answer starts over
  */
-function cancelVoiceUnlock() {
-  stopListening();
-  resetUnlockUI();
+function startArithmetic(body, complete) {
+  let solved = 0;
+  let problem = createProblem();
+  
+  body.innerHTML = `
+    <p class="method-title">🧮 Solve ${ARITHMETIC_PROBLEMS} in a row</p>
+    <p class="method-text method-problem"></p>
+    <input type="text" class="blocker-input" inputmode="numeric" autocomplete="off">
+    <p class="method-progress"></p>
+  `;
+  
+  const question = body.querySelector('.method-problem');
+  const input = body.querySelector('input');
+  const progress = body.querySelector('.method-progress');
+  
+  const render = () => {
+    question.textContent = `${problem.question} = ?`;
+    input.value = '';
+    input.focus();
+  };
+  
+  blockPasting(input);
+  
+  input.addEventListener('keydown', (e) => {
+    if (e.key !== 'Enter') return;
+    
+    const correct = parseInt(input.value.trim(), 10) === problem.answer;
+    solved = correct ? solved + 1 : 0;
+    
+    if (solved >= ARITHMETIC_PROBLEMS) {
+      complete();
+      return;
+    }
+    
+    progress.textContent = correct
+      ? `✅ ${solved} / ${ARITHMETIC_PROBLEMS}`
+      : `❌ It was ${problem.answer}. Back to 0 / ${ARITHMETIC_PROBLEMS}`;
+    progress.classList.toggle('error', !correct);
+    problem = createProblem();
+    render();
+  });
+  
+  render();
+  return () => {};
 }
 
 /**
- * Stop all audio/recognition processes
+ * Make a random sum that needs some thought
  */
-function stopListening() {
-  isListening = false;
-  
-  if (recognition) {
-    try {
-      recognition.stop();
-    } catch (e) {}
-    recognition = null;
-  }
-  
-  if (microphone) {
-    microphone.disconnect();
-    microphone = null;
-  }
+function createProblem() {
+  const randomInt = (min, max) => min + Math.floor(Math.random() * (max - min + 1));
   
-  if (audioContext) {
-    audioContext.close();
-    audioContext = null;
+  switch (randomInt(0, 2)) {
+    case 0: {
+      const a = randomInt(12, 99);
+      const b = randomInt(3, 9);
+      return { question: `${a} × ${b}`, answer: a * b };
+    }
+    case 1: {
+      const a = randomInt(100, 999);
+      const b = randomInt(100, 999);
+      return { question: `${a} + ${b}`, answer: a + b };
+    }
+    default: {
+      const a = randomInt(500, 999);
+      const b = randomInt(100, 499);
+      return { question: `${a} − ${b}`, answer: a - b };
+    }
   }
-  
-  analyser = null;
-  volumeSamples = [];
 }
 
 /**
- * Reset the unlock UI to initial state
+ * Stop text from being pasted or dropped into a field, and keep the page's
+ * keyboard shortcuts from reacting to typing in it
  */
-function resetUnlockUI() {
-  const unlockSection = document.querySelector('.blocker-unlock-section');
-  const listening = document.getElementById('blocker-listening');
-  const result = document.getElementById('blocker-result');
-  
-  if (unlockSection) unlockSection.classList.remove('hidden');
-  if (listening) listening.classList.add('hidden');
-  if (result) result.classList.add('hidden');
+function blockPasting(input) {
+  input.addEventListener('paste', (e) => e.preventDefault());
+  input.addEventListener('drop', (e) => e.preventDefault());
+  input.addEventListener('beforeinput', (e) => {
+    if (e.inputType === 'insertFromPaste' || e.inputType === 'insertFromDrop') {
+      e.preventDefault();
+    }
+  });
+  input.addEventListener('keydown', (e) => e.stopPropagation());
 }
 
 /**
- * Show result message
+ * Compare typed text loosely: case and runs of whitespace do not matter
  */
-function showResult(success, message) {
-  const listening = document.getElementById('blocker-listening');
-  const result = document.getElementById('blocker-result');
-  
-  if (listening) listening.classList.add('hidden');
-  if (result) {
-    result.classList.remove('hidden');
-    result.querySelector('.result-icon').textContent = success ? '✅' : '❌';
-    result.querySelector('.result-message').textContent = message;
-  }
+function normalizeTyping(text) {
+  return text.toLowerCase().replace(/\s+/g, ' ').trim();
 }
 
 // ============================================================================
-// COUNTDOWN DISPLAY
+// PHRASE MATCHING
 // ============================================================================
 
+// Contractions expanded before matching, so "I'm" and "I am" compare equal
+const CONTRACTIONS = {
+  "i'm": 'i am', "you're": 'you are', "we're": 'we are', "they're": 'they are',
+  "it's": 'it is', "that's": 'that is', "what's": 'what is', "there's": 'there is',
+  "he's": 'he is', "she's": 'she is', "let's": 'let us',
+  "i've": 'i have', "you've": 'you have', "we've": 'we have', "they've": 'they have',
+  "i'll": 'i will', "you'll": 'you will', "we'll": 'we will', "they'll": 'they will',
+  "i'd": 'i would', "you'd": 'you would', "we'd": 'we would', "they'd": 'they would',
+  "isn't": 'is not', "aren't": 'are not', "wasn't": 'was not', "weren't": 'were not',
+  "don't": 'do not', "doesn't": 'does not', "didn't": 'did not',
+  "can't": 'can not', 'cannot': 'can not', "won't": 'will not',
+  "wouldn't": 'would not', "shouldn't": 'should not', "couldn't": 'could not',
+  "haven't": 'have not', "hasn't": 'has not', "hadn't": 'had not'
+};
+
+const ONES = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine',
+  'ten', 'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen',
+  'eighteen', 'nineteen'];
+const TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+
 /**
- * Start displaying countdown timer
+ * Get the fraction of phrase words that must be heard to unlock
  */
-function startCountdownDisplay(seconds) {
-  // Create floating countdown if not in overlay
-  if (!isOverlayVisible) {
-    createFloatingCountdown();
-  }
+function getMatchThreshold() {
+  return (settings && settings.phraseMatchThreshold) || 1;
+}
+
+/**
+ * Score a transcript against the phrase.
+ * Words are aligned in order (longest common subsequence), so extra words
+ * around the phrase are ignored. Returns the fraction of phrase words heard
+ * and each phrase word with whether it was matched.
+ */
+function scorePhrase(transcript, phrase, locale = DEFAULT_LOCALE) {
+  const phraseWords = normalizeWords(phrase, locale);
+  const heardWords = normalizeWords(transcript, locale);
+  const m = phraseWords.length;
+  const n = heardWords.length;
   
-  updateCountdownValue(seconds);
+  if (m === 0) return { score: 0, words: [] };
   
-  // Clear any existing interval
-  if (countdownInterval) {
-    clearInterval(countdownInterval);
+  const dp = Array(m + 1).fill(null).map(() => Array(n + 1).fill(0));
+  
+  for (let i = 1; i <= m; i++) {
+    for (let j = 1; j <= n; j++) {
+      dp[i][j] = wordsMatch(phraseWords[i - 1], heardWords[j - 1])
+        ? dp[i - 1][j - 1] + 1
+        : Math.max(dp[i - 1][j], dp[i][j - 1]);
+    }
   }
   
-  // Start countdown
-  let remaining = seconds;
-  countdownInterval = setInterval(() => {
-    remaining--;
-    
-    if (remaining <= 0) {
-      clearInterval(countdownInterval);
-      countdownInterval = null;
-      removeFloatingCountdown();
-      
-      // Show block overlay again
-      showBlockOverlay();
+  // Walk back through the table to find which phrase words were matched
+  const matched = Array(m).fill(false);
+  let i = m;
+  let j = n;
+  while (i > 0 && j > 0) {
+    if (wordsMatch(phraseWords[i - 1], heardWords[j - 1]) && dp[i][j] === dp[i - 1][j - 1] + 1) {
+      matched[i - 1] = true;
+      i--;
+      j--;
+    } else if (dp[i - 1][j] >= dp[i][j - 1]) {
+      i--;
     } else {
-      updateCountdownValue(remaining);
+      j--;
     }
-  }, 1000);
+  }
+  
+  return {
+    score: dp[m][n] / m,
+    words: phraseWords.map((word, index) => ({ word, matched: matched[index] }))
+  };
 }
 
 /**
- * Create floating countdown element
+ * Compare two normalized words, forgiving one typo-sized slip in long words
  */
-function createFloatingCountdown() {
-  let floating = document.getElementById('blocker-floating-countdown');
+function wordsMatch(expected, heard) {
+  if (expected === heard) return true;
+  return expected.length >= 5 && levenshteinDistance(expected, heard) <= 1;
+}
+
+/**
+ * Split text into comparable words: lowercase, accents removed, punctuation
+ * removed and, for English, contractions expanded and digits spelled out.
+ * Combining marks that are part of a script (e.g. Devanagari vowel signs) are kept.
+ */
+function normalizeWords(text, locale = DEFAULT_LOCALE) {
+  const isEnglish = locale.toLowerCase().startsWith('en');
   
-  if (!floating) {
-    floating = document.createElement('div');
-    floating.id = 'blocker-floating-countdown';
-    floating.className = 'blocker-floating';
-    floating.innerHTML = `
-      <span class="floating-label">⏱️ Auto-block in: </span>
-      <span id="floating-countdown-value">00:00</span>
-    `;
-    document.body.appendChild(floating);
-  }
+  const normalized = stripDiacritics(text.toLocaleLowerCase(locale))
+    .replace(/[\u2018\u2019`]/g, "'")
+    .replace(/-/g, ' ');
+  
+  return splitWords(normalized, locale)
+    .flatMap(token => {
+      const bare = token.replace(/^[^\p{L}\p{M}\p{N}']+|[^\p{L}\p{M}\p{N}']+$/gu, '');
+      const expanded = (isEnglish && CONTRACTIONS[bare]) || bare;
+      return expanded.split(' ');
+    })
+    .flatMap(word => (isEnglish && /^\d+$/.test(word) ? numberToWords(parseInt(word, 10)).split(' ') : [word]))
+    .map(word => word.replace(/[^\p{L}\p{M}\p{N}]/gu, ''))
+    .filter(Boolean);
 }
 
 /**
- * Remove floating countdown
+ * Split text into words. Scripts written without spaces (Chinese, Japanese,
+ * Thai...) need Intl.Segmenter; whitespace is the fallback.
  */
-function removeFloatingCountdown() {
-  const floating = document.getElementById('blocker-floating-countdown');
-  if (floating) {
-    floating.remove();
+function splitWords(text, locale) {
+  if (typeof Intl.Segmenter !== 'function') {
+    return text.split(/\s+/);
   }
+  
+  const segmenter = new Intl.Segmenter(locale, { granularity: 'word' });
+  return Array.from(segmenter.segment(text))
+    .filter(segment => segment.isWordLike)
+    .map(segment => segment.segment);
 }
 
 /**
- * Update countdown value in UI
+ * Remove accents from Latin, Greek and Cyrillic letters (é -> e, ё -> е).
+ * Text is recomposed afterwards so Hangul syllables and kana stay intact.
  */
-function updateCountdownValue(seconds) {
-  const formatted = formatDuration(seconds);
-  
-  // Update in overlay if visible
-  const overlayCountdown = document.getElementById('countdown-value');
-  if (overlayCountdown) {
-    overlayCountdown.textContent = formatted;
+function stripDiacritics(text) {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').normalize('NFC');
+}
+
+/**
+ * Spell out a whole number (e.g. 42 -> "forty two")
+ */
+function numberToWords(n) {
+  if (n < 20) return ONES[n];
+  if (n < 100) return TENS[Math.floor(n / 10)] + (n % 10 ? ` ${ONES[n % 10]}` : '');
+  if (n < 1000) {
+    return `${ONES[Math.floor(n / 100)]} hundred` + (n % 100 ? ` ${numberToWords(n % 100)}` : '');
   }
-  
-  // Update floating countdown
-  const floatingCountdown = document.getElementById('floating-countdown-value');
-  if (floatingCountdown) {
-    floatingCountdown.textContent = formatted;
+  if (n < 1000000) {
+    return `${numberToWords(Math.floor(n / 1000))} thousand` + (n % 1000 ? ` ${numberToWords(n % 1000)}` : '');
   }
+  return String(n);
 }
 
 // ============================================================================
@@ -615,6 +1741,31 @@ function formatDuration(seconds) {
   return `${mins}:${secs.toString().padStart(2, '0')}`;
 }
 
+/**
+ * Format a stored (lowercase) phrase for display
+ */
+function formatPhrase(phrase) {
+  return phrase.charAt(0).toUpperCase() + phrase.slice(1);
+}
+
+/**
+ * Human-readable name of a locale (e.g. "de-DE" -> "German (Germany)")
+ */
+function getLocaleName(locale) {
+  try {
+    return new Intl.DisplayNames([navigator.language], { type: 'language' }).of(locale);
+  } catch (e) {
+    return locale;
+  }
+}
+
+/**
+ * Pick a random item from a list
+ */
+function pickRandom(items) {
+  return items[Math.floor(Math.random() * items.length)];
+}
+
 /**
  * Escape HTML special characters
  */
@@ -713,30 +1864,19 @@ if (document.readyState === 'loading') {
 window.addEventListener('load', init);
 
 // Handle visibility changes (when user returns to tab)
-document.addEventListener('visibilitychange', async () => {
+document.addEventListener('visibilitychange', () => {
   if (document.visibilityState !== 'visible') return;
-
-  // Extension context alive check
-  if (!chrome?.runtime?.id) return;
-
-  try {
-    const result = await chrome.runtime.sendMessage({
-      action: 'checkBlocked',
-      url: window.location.href
-    });
-
-    if (result?.shouldBlock && !isOverlayVisible) {
-      currentDomain = result.domain;
-      showBlockOverlay();
-    } else if (!result?.shouldBlock && isOverlayVisible) {
-      hideBlockOverlay();
-    }
-
-  } catch (err) {
-    // Context invalidated / extension reloaded
-    console.warn('Visibility check skipped:', err.message);
-  }
+  recheckBlockStatus();
 });
 
+// Handle SPA navigation (history.pushState / replaceState, back/forward).
+// The page's history methods can't be patched from the content script's
+// isolated world, so use the Navigation API and fall back to polling.
+if (window.navigation) {
+  window.navigation.addEventListener('currententrychange', handleUrlChange);
+} else {
+  setInterval(handleUrlChange, URL_POLL_INTERVAL);
+}
+window.addEventListener('popstate', handleUrlChange);
 
 console.log('[Blocker] Content script loaded');
\ No newline at end of file
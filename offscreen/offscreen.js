@@ -0,0 +1,379 @@
+/**
+ * Distraction Blocker - Offscreen Audio Pipeline
+ * Captures the microphone, measures loudness and runs speech recognition on
+ * behalf of the overlay, so blocked sites never get microphone access.
+ * Results are streamed to the background, which relays them to the overlay.
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// Port name the background listens for
+const OFFSCREEN_PORT_NAME = 'offscreen';
+
+// How often to sample the volume (ms). Offscreen documents are never visible,
+// so requestAnimationFrame would not fire here.
+const LEVEL_INTERVAL = 50;
+
+// Analysis window for loudness: 2048 samples is ~43ms at 48kHz
+const FFT_SIZE = 2048;
+
+// Reported level for digital silence (dBFS)
+const SILENCE_DB = -100;
+
+// Speech is assumed while the level is this far above the noise floor (dB)
+const SPEECH_MARGIN_DB = 10;
+
+// How fast the noise floor estimate creeps up per sample (dB), so it
+// recovers after a quiet moment but does not follow speech
+const NOISE_FLOOR_RISE = 0.05;
+
+// Voice activity detection, in samples of LEVEL_INTERVAL: a speech segment
+// starts after VAD_ONSET_SAMPLES loud samples in a row (so clicks and bumps
+// are ignored) and ends after more than VAD_HANGOVER_SAMPLES quiet ones
+// (so short pauses between words do not split it)
+const VAD_ONSET_SAMPLES = 3;
+const VAD_HANGOVER_SAMPLES = 6;
+
+// Share of the loudest and quietest speech samples ignored when averaging
+const TRIM_FRACTION = 0.1;
+
+// Recognition reports speech a little after it starts; look back this far (ms)
+const SPEECH_START_LEAD = 500;
+
+// A sample whose peak reaches this is counted as clipped
+const CLIP_LEVEL = 0.99;
+
+// Recognition alternatives sent with a final result, so the overlay can
+// accept the phrase even when the top guess mishears a word
+const MAX_ALTERNATIVES = 5;
+
+// ============================================================================
+// STATE
+// ============================================================================
+
+let audioContext = null;
+let analyser = null;
+let microphone = null;
+let stream = null;
+let recognition = null;
+let levelInterval = null;
+let isListening = false;
+let noiseFloor = null; // Running estimate of background noise (dBFS)
+let levelHistory = []; // { time, db, peak, loud, speech } for every sample since listening started
+let vad = { speaking: false, loudRun: 0, quietRun: 0 };
+let speechStartedAt = null; // When recognition first heard speech
+
+// ============================================================================
+// MESSAGE HANDLING
+// ============================================================================
+
+const port = chrome.runtime.connect({ name: OFFSCREEN_PORT_NAME });
+
+port.onMessage.addListener((message) => {
+  switch (message.action) {
+    case 'start':
+      startListening(message.lang, message.recognize !== false);
+      break;
+      
+    case 'stop':
+      stopListening();
+      break;
+  }
+});
+
+// ============================================================================
+// AUDIO PIPELINE
+// ============================================================================
+
+/**
+ * Start measuring volume and, unless only the level is wanted (calibration),
+ * recognising speech
+ */
+async function startListening(lang, recognize) {
+  stopListening();
+  
+  const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+  
+  if (recognize && !SpeechRecognition) {
+    port.postMessage({ action: 'error', error: 'not-supported' });
+    return;
+  }
+  
+  try {
+    await startAudioCapture();
+  } catch (error) {
+    console.error('[Blocker] Could not capture audio:', error);
+    stopListening();
+    port.postMessage({
+      action: 'error',
+      error: error.name === 'NotAllowedError' ? 'not-allowed' : 'audio-capture'
+    });
+    return;
+  }
+  
+  isListening = true;
+  noiseFloor = null;
+  levelHistory = [];
+  vad = { speaking: false, loudRun: 0, quietRun: 0 };
+  speechStartedAt = Date.now();
+  levelInterval = setInterval(monitorVolume, LEVEL_INTERVAL);
+  
+  if (recognize) {
+    startSpeechRecognition(SpeechRecognition, lang);
+  }
+}
+
+/**
+ * Start capturing audio for volume measurement
+ */
+async function startAudioCapture() {
+  audioContext = new AudioContext();
+  analyser = audioContext.createAnalyser();
+  analyser.fftSize = FFT_SIZE;
+  
+  // Automatic gain control would level out shouting and whispering alike
+  stream = await navigator.mediaDevices.getUserMedia({
+    audio: {
+      channelCount: 1,
+      autoGainControl: false,
+      noiseSuppression: false,
+      echoCancellation: false
+    }
+  });
+  microphone = audioContext.createMediaStreamSource(stream);
+  microphone.connect(analyser);
+}
+
+/**
+ * Measure the current loudness and send it to the overlay.
+ * The level is the RMS of the waveform in dBFS (0 = full scale); `speaking`
+ * tells whether voice activity detection places it inside a speech segment.
+ */
+function monitorVolume() {
+  if (!isListening || !analyser) return;
+  
+  const samples = new Float32Array(analyser.fftSize);
+  analyser.getFloatTimeDomainData(samples);
+  
+  let sum = 0;
+  let peak = 0;
+  for (let i = 0; i < samples.length; i++) {
+    sum += samples[i] * samples[i];
+    peak = Math.max(peak, Math.abs(samples[i]));
+  }
+  const rms = Math.sqrt(sum / samples.length);
+  const db = rms > 0 ? Math.max(SILENCE_DB, 20 * Math.log10(rms)) : SILENCE_DB;
+  
+  // Follow the quietest level quickly and louder levels slowly
+  noiseFloor = noiseFloor === null || db < noiseFloor
+    ? db
+    : noiseFloor + NOISE_FLOOR_RISE;
+  
+  const loud = db > noiseFloor + SPEECH_MARGIN_DB;
+  levelHistory.push({ time: Date.now(), db, peak, loud, speech: false });
+  
+  port.postMessage({ action: 'level', db, speaking: detectSpeech(loud) });
+}
+
+// ============================================================================
+// VOICE ACTIVITY DETECTION
+// ============================================================================
+
+/**
+ * Update the speech/silence state with the newest sample and label the
+ * history with it. Returns whether speech is active.
+ */
+function detectSpeech(loud) {
+  if (loud) {
+    vad.loudRun++;
+    vad.quietRun = 0;
+  } else {
+    vad.quietRun++;
+    vad.loudRun = 0;
+  }
+  
+  if (!vad.speaking && vad.loudRun >= VAD_ONSET_SAMPLES) {
+    vad.speaking = true;
+    // The samples that triggered the onset belong to the segment too
+    levelHistory.slice(-VAD_ONSET_SAMPLES).forEach(sample => { sample.speech = true; });
+  } else if (vad.speaking && vad.quietRun > VAD_HANGOVER_SAMPLES) {
+    vad.speaking = false;
+  }
+  
+  levelHistory[levelHistory.length - 1].speech = vad.speaking;
+  return vad.speaking;
+}
+
+/**
+ * Get the voiced samples inside speech segments between `from` and `to`.
+ * Silence, pauses between words and isolated noises are left out.
+ */
+function getVoicedSamples(from, to) {
+  return levelHistory.filter(sample =>
+    sample.speech && sample.loud && sample.time >= from && sample.time <= to
+  );
+}
+
+/**
+ * Loudness of the phrase: the trimmed mean of its voiced samples.
+ * Returns null if no speech was found.
+ */
+function measurePhrase(from, to) {
+  const voiced = getVoicedSamples(from, to)
+    .map(sample => sample.db)
+    .sort((a, b) => a - b);
+  
+  if (voiced.length === 0) return null;
+  
+  const trimmed = voiced.slice(
+    Math.floor(voiced.length * TRIM_FRACTION),
+    Math.ceil(voiced.length * (1 - TRIM_FRACTION))
+  );
+  
+  return trimmed.reduce((sum, db) => sum + db, 0) / trimmed.length;
+}
+
+/**
+ * Features the background uses to tell a live voice from playback:
+ * - envelope: the level of every sample from the first to the last speech
+ *   sample, to spot the same recording played again
+ * - clippedRatio: share of voiced samples that hit full scale
+ * - crestDb: median peak-to-RMS ratio; limited or compressed audio is flat
+ * - dynamicRangeDb: spread between loud and quiet voiced samples
+ * Returns null if no speech was found.
+ */
+function getAudioFeatures(from, to) {
+  const voiced = getVoicedSamples(from, to);
+  if (voiced.length === 0) return null;
+  
+  const first = voiced[0].time;
+  const last = voiced[voiced.length - 1].time;
+  const envelope = levelHistory
+    .filter(sample => sample.time >= first && sample.time <= last)
+    .map(sample => Math.round(sample.db * 10) / 10);
+  
+  const crests = voiced
+    .map(sample => 20 * Math.log10(sample.peak) - sample.db)
+    .sort((a, b) => a - b);
+  const levels = voiced.map(sample => sample.db).sort((a, b) => a - b);
+  
+  return {
+    envelope,
+    clippedRatio: voiced.filter(sample => sample.peak >= CLIP_LEVEL).length / voiced.length,
+    crestDb: crests[Math.floor(crests.length / 2)],
+    dynamicRangeDb: levels[Math.floor(levels.length * 0.9)] - levels[Math.floor(levels.length * 0.1)]
+  };
+}
+
+/**
+ * Start speech recognition
+ */
+function startSpeechRecognition(SpeechRecognition, lang) {
+  recognition = new SpeechRecognition();
+  recognition.continuous = false;
+  recognition.interimResults = true;
+  recognition.maxAlternatives = MAX_ALTERNATIVES;
+  recognition.lang = lang;
+  
+  recognition.onspeechstart = () => {
+    speechStartedAt = Date.now();
+  };
+  
+  recognition.onresult = (event) => {
+    let finalTranscript = '';
+    let interimTranscript = '';
+    
+    for (let i = event.resultIndex; i < event.results.length; i++) {
+      const transcript = event.results[i][0].transcript;
+      
+      if (event.results[i].isFinal) {
+        finalTranscript += transcript;
+      } else {
+        interimTranscript += transcript;
+      }
+    }
+    
+    const isFinal = Boolean(finalTranscript);
+    
+    port.postMessage({
+      action: 'result',
+      transcript: finalTranscript || interimTranscript,
+      alternatives: isFinal ? collectAlternatives(event.results) : undefined,
+      // Only speech heard while the phrase was being recognised counts
+      phraseDb: isFinal ? measurePhrase(speechStartedAt - SPEECH_START_LEAD, Date.now()) : undefined,
+      audioFeatures: isFinal ? getAudioFeatures(speechStartedAt - SPEECH_START_LEAD, Date.now()) : undefined,
+      isFinal
+    });
+  };
+  
+  recognition.onerror = (event) => {
+    console.error('[Blocker] Speech recognition error:', event.error);
+    port.postMessage({ action: 'error', error: event.error });
+    stopListening();
+  };
+  
+  recognition.onend = () => {
+    if (isListening) {
+      port.postMessage({ action: 'ended' });
+    }
+  };
+  
+  recognition.start();
+}
+
+/**
+ * Build one full transcript per recognition alternative.
+ * Results with fewer alternatives fall back to their last one.
+ */
+function collectAlternatives(results) {
+  const count = Math.max(...Array.from(results, result => result.length));
+  const alternatives = [];
+  
+  for (let k = 0; k < count; k++) {
+    alternatives.push(
+      Array.from(results, result => result[Math.min(k, result.length - 1)].transcript).join('')
+    );
+  }
+  
+  return alternatives;
+}
+
+/**
+ * Stop recognition and release the microphone
+ */
+function stopListening() {
+  isListening = false;
+  
+  if (levelInterval) {
+    clearInterval(levelInterval);
+    levelInterval = null;
+  }
+  
+  if (recognition) {
+    try {
+      recognition.stop();
+    } catch (e) {}
+    recognition = null;
+  }
+  
+  if (microphone) {
+    microphone.disconnect();
+    microphone = null;
+  }
+  
+  if (stream) {
+    stream.getTracks().forEach(track => track.stop());
+    stream = null;
+  }
+  
+  if (audioContext) {
+    audioContext.close();
+    audioContext = null;
+  }
+  
+  analyser = null;
+}
+
+console.log('[Blocker] Offscreen audio pipeline loaded');
\ No newline at end of file
@@ -0,0 +1,26 @@
+/**
+ * Distraction Blocker - Microphone Permission Page
+ * Asks for microphone access once on behalf of the whole extension.
+ * The offscreen document cannot show a permission prompt itself.
+ */
+
+document.getElementById('grant-mic-btn').addEventListener('click', async () => {
+  try {
+    const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    stream.getTracks().forEach(track => track.stop());
+    showResult(true, 'Microphone access granted. You can close this tab and try the voice unlock again.');
+  } catch (error) {
+    console.error('[Blocker] Microphone permission denied:', error);
+    showResult(false, 'Microphone access was denied. Allow it from the address bar, then try again.');
+  }
+});
+
+/**
+ * Show result message
+ */
+function showResult(success, message) {
+  const result = document.getElementById('grant-result');
+  result.classList.remove('hidden');
+  result.querySelector('.result-icon').textContent = success ? '✅' : '❌';
+  result.querySelector('.result-message').textContent = message;
+}
\ No newline at end of file
@@ -9,6 +9,59 @@
 
 let settings = null;
 let unlockTimers = {};
+let tierDraft = []; // Unsaved edits to settings.volumeTiers
+let optionsSiteIndex = null; // Site whose options panel (budget, schedule) is open
+let calibrationPort = null; // Open while a calibration is recording
+let focusSession = null; // Running focus session ({ startedAt, endsAt }), or null
+let pendingChanges = []; // Loosening changes waiting for their delay (see background.js)
+let confirmingChangeId = null; // Pending change being confirmed by voice
+let categories = []; // Bundled site categories (SITE_CATEGORIES in background.js)
+let openCategoryId = null; // Category whose domains are shown
+
+const DAY_LABELS = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+
+// Unlock methods in display order (see UNLOCK_METHODS in background.js)
+const METHOD_LABELS = {
+  voice: '🎤 Voice',
+  confession: '✍️ Confession',
+  cooldown: '⏳ Cooldown',
+  arithmetic: '🧮 Sums',
+  typing: '⌨️ Typing'
+};
+
+// unlockTimers keys of per-tab and global unlocks (see getUnlockKey in background.js)
+const TAB_UNLOCK_PREFIX = 'tab:';
+const GLOBAL_UNLOCK_KEY = '<all sites>';
+
+// Expiry warnings offered, in seconds before an unlock ends
+const WARNING_CHOICES = {
+  300: '5 minutes before',
+  60: '1 minute before',
+  30: '30 seconds before',
+  10: '10 seconds before'
+};
+
+// Calibration: listen this long and need this many speech samples (50ms each)
+const CALIBRATION_SECONDS = 6;
+const MIN_CALIBRATION_SAMPLES = 20;
+
+// Port the background relays microphone levels over (see background.js)
+const VOICE_PORT_NAME = 'voice-unlock';
+
+// Languages offered for speech recognition (BCP 47 tags)
+const LOCALES = [
+  'en-US', 'en-GB', 'en-AU', 'en-IN', 'de-DE', 'fr-FR', 'es-ES', 'es-MX', 'it-IT',
+  'pt-BR', 'pt-PT', 'nl-NL', 'sv-SE', 'pl-PL', 'cs-CZ', 'tr-TR', 'ru-RU', 'uk-UA',
+  'el-GR', 'he-IL', 'ar-SA', 'hi-IN', 'th-TH', 'vi-VN', 'id-ID', 'ja-JP', 'ko-KR',
+  'zh-CN', 'zh-TW'
+];
+
+const RULE_PLACEHOLDERS = {
+  domain: 'Add domain (e.g., example.com)',
+  prefix: 'Add path (e.g., youtube.com/shorts)',
+  wildcard: 'Add pattern (e.g., *.reddit.com/r/all*)',
+  regex: 'Add regex (e.g., tiktok\\.com/@)'
+};
 
 // ============================================================================
 // INITIALIZATION
@@ -17,6 +70,9 @@ let unlockTimers = {};
 document.addEventListener('DOMContentLoaded', async () => {
   await loadSettings();
   await loadUnlockTimers();
+  await loadFocusSession();
+  await loadPendingChanges();
+  await loadCategories();
   renderUI();
   attachEventListeners();
   startTimerUpdates();
@@ -30,6 +86,27 @@ async function loadSettings() {
   settings = result;
 }
 
+/**
+ * Load the running focus session
+ */
+async function loadFocusSession() {
+  focusSession = await chrome.runtime.sendMessage({ action: 'getFocusSession' });
+}
+
+/**
+ * Load the settings changes waiting for their delay
+ */
+async function loadPendingChanges() {
+  pendingChanges = await chrome.runtime.sendMessage({ action: 'getPendingChanges' });
+}
+
+/**
+ * Load the bundled site categories
+ */
+async function loadCategories() {
+  categories = await chrome.runtime.sendMessage({ action: 'getCategories' });
+}
+
 /**
  * Load current unlock timers
  */
@@ -40,12 +117,21 @@ async function loadUnlockTimers() {
 
 /**
  * Save settings to storage
+ * Returns { success, error } from the background's validation.
  */
 async function saveSettings() {
-  await chrome.runtime.sendMessage({ 
+  const result = await chrome.runtime.sendMessage({ 
     action: 'saveSettings', 
     settings: settings 
   });
+
+  // Some of the change was held back, so show what actually applied
+  if (result.success && result.pending.length > 0) {
+    await loadSettings();
+    await loadPendingChanges();
+    renderUI();
+  }
+  return result;
 }
 
 // ============================================================================
@@ -57,10 +143,27 @@ async function saveSettings() {
  */
 function renderUI() {
   renderMasterToggle();
+  renderFocusSession();
+  renderPendingChanges();
   renderSitesList();
+  renderAllowList();
+  renderCategories();
   renderUnlockedSites();
   renderStats();
   renderUnlockPhrase();
+  renderPhrasePool();
+  renderLocaleSettings();
+  renderCalibration();
+  renderUnlockMethods();
+  renderUnlockScope();
+  renderUnlockEndings();
+  renderTamperProtection();
+  renderAllowOnly();
+  renderEstimatedVisit();
+  renderHardBlock();
+  renderGlobalSchedule();
+  renderBudgetSettings();
+  renderVolumeTiers();
 }
 
 /**
@@ -69,6 +172,26 @@ function renderUI() {
 function renderMasterToggle() {
   const toggle = document.getElementById('master-toggle');
   toggle.checked = settings.enabled;
+  // Blocking cannot be turned off during a focus session
+  toggle.disabled = isFocusing() && settings.enabled;
+}
+
+/**
+ * Render the focus session status
+ */
+function renderFocusSession() {
+  const status = document.getElementById('focus-status');
+  const button = document.getElementById('start-focus-btn');
+
+  if (isFocusing()) {
+    const endsAt = new Date(focusSession.endsAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    const remaining = Math.ceil((focusSession.endsAt - Date.now()) / 1000);
+    status.textContent = `Focusing until ${endsAt} (${formatDuration(remaining)} left). Nothing can be unlocked.`;
+    button.textContent = 'Extend';
+  } else {
+    status.textContent = 'Block every site with no way to unlock until the session ends.';
+    button.textContent = 'Start';
+  }
 }
 
 /**
@@ -84,23 +207,323 @@ function renderSitesList() {
   }
 
   settings.blockedSites.forEach((site, index) => {
+    // Enabled sites stay blocked until a focus session ends
+    const locked = isFocusing() && site.enabled;
     const siteElement = document.createElement('div');
     siteElement.className = 'site-item';
     siteElement.innerHTML = `
       <label class="site-toggle">
         <input type="checkbox" 
                data-index="${index}" 
-               ${site.enabled ? 'checked' : ''}>
+               ${site.enabled ? 'checked' : ''}
+               ${locked ? 'disabled' : ''}>
         <span class="toggle-slider small"></span>
       </label>
       <span class="site-name">${escapeHtml(site.name || site.domain)}</span>
-      <span class="site-domain">${escapeHtml(site.domain)}</span>
-      <button class="btn-icon delete-site" data-index="${index}" title="Remove site">
+      <span class="site-domain">${escapeHtml(site.domain)}${renderRuleType(site)}</span>
+      <button class="btn-icon site-options ${hasSiteOptions(site) ? 'active' : ''}"
+              data-index="${index}" title="Budget & schedule">
+         <i class="fa-solid fa-sliders"></i>
+      </button>
+      <button class="btn-icon delete-site" data-index="${index}" title="Remove site" ${locked ? 'disabled' : ''}>
          <i class="fa-solid fa-trash"></i>
       </button>
     `;
     container.appendChild(siteElement);
+
+    if (index === optionsSiteIndex) {
+      container.appendChild(createSiteOptionsPanel(site));
+    }
+  });
+}
+
+/**
+ * Render the list of allow rules
+ */
+function renderAllowList() {
+  const container = document.getElementById('allow-list');
+  const section = document.getElementById('allow-section');
+  container.innerHTML = '';
+
+  section.classList.toggle('hidden', settings.allowRules.length === 0 && !settings.allowOnly);
+
+  if (settings.allowRules.length === 0) {
+    container.innerHTML = '<p class="empty-message">Nothing allowed yet</p>';
+  }
+
+  settings.allowRules.forEach((rule, index) => {
+    const ruleElement = document.createElement('div');
+    ruleElement.className = 'site-item';
+    ruleElement.innerHTML = `
+      <span class="site-name">${escapeHtml(rule.domain)}${renderRuleType(rule)}</span>
+      <button class="btn-icon delete-allow-rule" data-index="${index}" title="Remove exception">
+         <i class="fa-solid fa-trash"></i>
+      </button>
+    `;
+    container.appendChild(ruleElement);
+  });
+}
+
+/**
+ * Render the site categories, with the open one's domains as chips
+ * (crossed out when excepted)
+ */
+function renderCategories() {
+  const container = document.getElementById('categories-list');
+  container.innerHTML = '';
+
+  categories.forEach(category => {
+    const entry = getCategoryEntry(category.id);
+    // Enabled categories stay blocked until a focus session ends
+    const locked = isFocusing() && entry.enabled;
+    const blockedCount = category.domains.length - entry.exceptions.length;
+    const item = document.createElement('div');
+    item.className = 'site-item';
+    item.innerHTML = `
+      <label class="site-toggle">
+        <input type="checkbox" 
+               data-category="${category.id}" 
+               ${entry.enabled ? 'checked' : ''}
+               ${locked ? 'disabled' : ''}>
+        <span class="toggle-slider small"></span>
+      </label>
+      <span class="site-name">${category.emoji} ${escapeHtml(category.label)}</span>
+      <span class="site-domain">${blockedCount}/${category.domains.length} domains</span>
+      <button class="btn-icon category-open ${category.id === openCategoryId ? 'active' : ''}"
+              data-category="${category.id}" title="Domains & exceptions">
+         <i class="fa-solid fa-list"></i>
+      </button>
+    `;
+    container.appendChild(item);
+
+    if (category.id === openCategoryId) {
+      const domains = document.createElement('div');
+      domains.className = 'category-domains';
+      domains.innerHTML = category.domains.map(domain => {
+        const excepted = entry.exceptions.includes(domain);
+        return `
+          <button class="domain-chip ${excepted ? 'excepted' : ''}"
+                  data-category="${category.id}" data-domain="${escapeHtml(domain)}"
+                  title="${excepted ? 'Block again' : 'Keep unblocked'}"
+                  ${locked && !excepted ? 'disabled' : ''}>${escapeHtml(domain)}</button>
+        `;
+      }).join('');
+      container.appendChild(domains);
+    }
+  });
+}
+
+/**
+ * Get a category's settings, which may not be stored yet
+ */
+function getCategoryEntry(id) {
+  return settings.blockedCategories.find(entry => entry.id === id) ||
+    { id, enabled: false, exceptions: [] };
+}
+
+/**
+ * Small badge for non-domain rule types
+ */
+function renderRuleType(rule) {
+  if (!rule.type || rule.type === 'domain') return '';
+  return ` <span class="rule-type">${escapeHtml(rule.type)}</span>`;
+}
+
+/**
+ * Whether a site overrides any global option
+ */
+function hasSiteOptions(site) {
+  return (site.schedule && site.schedule.length > 0) ||
+    site.dailyBudgetMinutes > 0 ||
+    (site.unlockMethods && site.unlockMethods.length > 0);
+}
+
+/**
+ * Build the per-site options panel: daily budget, unlock methods and schedule
+ */
+function createSiteOptionsPanel(site) {
+  const panel = document.createElement('div');
+  panel.className = 'site-options-panel';
+  panel.innerHTML = `
+    <label class="site-budget">
+      <span>Daily budget (minutes)</span>
+      <input type="number" class="tier-input tier-number" min="0" step="1"
+             value="${site.dailyBudgetMinutes || ''}" placeholder="—">
+    </label>
+  `;
+
+  panel.querySelector('input').addEventListener('change', async (e) => {
+    const minutes = parseInt(e.target.value);
+    const previous = site.dailyBudgetMinutes;
+    site.dailyBudgetMinutes = isNaN(minutes) || minutes <= 0 ? undefined : minutes;
+
+    const result = await saveSettings();
+    if (!result.success) {
+      site.dailyBudgetMinutes = previous;
+      e.target.value = previous || '';
+      showToast(result.error, 'error');
+      return;
+    }
+    if (showPendingToast(result.pending)) return;
+    showToast('Site budget updated', 'success');
+  });
+
+  panel.appendChild(createSiteMethodsEditor(site));
+
+  site.schedule = site.schedule || [];
+  panel.appendChild(createScheduleEditor(
+    site.schedule,
+    'No schedule: uses the global schedule',
+    handleScheduleChange
+  ));
+
+  return panel;
+}
+
+/**
+ * Build the chips choosing a site's own unlock methods.
+ * With none chosen the site uses the global methods.
+ */
+function createSiteMethodsEditor(site) {
+  const editor = document.createElement('div');
+  editor.className = 'site-methods';
+
+  const render = () => {
+    const methods = site.unlockMethods || [];
+    editor.innerHTML = `
+      <span>Unlock methods${methods.length === 0 ? ' (global)' : ''}</span>
+      <div class="method-chips">
+        ${Object.entries(METHOD_LABELS).map(([method, label]) => `
+          <button class="method-chip ${methods.includes(method) ? 'active' : ''}"
+                  data-method="${method}" title="${escapeHtml(label)}">${label.split(' ')[0]}</button>
+        `).join('')}
+      </div>
+    `;
+  };
+
+  editor.addEventListener('click', async (e) => {
+    const button = e.target.closest('[data-method]');
+    if (!button) return;
+
+    const method = button.dataset.method;
+    const previous = site.unlockMethods;
+    const methods = previous || [];
+    const updated = methods.includes(method)
+      ? methods.filter(m => m !== method)
+      : [...methods, method];
+    site.unlockMethods = updated.length > 0 ? updated : undefined;
+
+    render();
+    const result = await saveSettings();
+    if (!result.success) {
+      site.unlockMethods = previous;
+      render();
+      showToast(result.error, 'error');
+      return;
+    }
+    if (showPendingToast(result.pending)) return;
+    showToast('Site unlock methods updated', 'success');
   });
+
+  render();
+  return editor;
+}
+
+/**
+ * Render daily budget and escalation settings
+ */
+function renderBudgetSettings() {
+  document.getElementById('daily-budget').value = settings.dailyBudgetMinutes;
+  document.getElementById('escalation-mode').value = settings.escalationMode;
+}
+
+/**
+ * Render the global schedule editor
+ */
+function renderGlobalSchedule() {
+  const container = document.getElementById('global-schedule');
+  container.innerHTML = '';
+  container.appendChild(createScheduleEditor(
+    settings.schedule,
+    'No schedule: sites are blocked all day, every day',
+    handleScheduleChange
+  ));
+}
+
+/**
+ * Build an editor for a list of schedule windows.
+ * The list is edited in place and onChange is called after every edit.
+ */
+function createScheduleEditor(windows, emptyText, onChange) {
+  const editor = document.createElement('div');
+  editor.className = 'schedule-editor';
+
+  const render = () => {
+    const rows = windows.map((slot, index) => `
+      <div class="schedule-window">
+        <div class="day-chips">
+          ${DAY_LABELS.map((label, day) => `
+            <button class="day-chip ${slot.days.includes(day) ? 'active' : ''}"
+                    data-action="toggle-day" data-index="${index}" data-day="${day}">${label}</button>
+          `).join('')}
+        </div>
+        <div class="schedule-times">
+          <input type="time" class="tier-input" data-index="${index}" data-field="start" value="${slot.start}">
+          <span>–</span>
+          <input type="time" class="tier-input" data-index="${index}" data-field="end" value="${slot.end}">
+          <button class="btn-icon" data-action="remove-window" data-index="${index}" title="Remove window">
+            <i class="fa-solid fa-trash"></i>
+          </button>
+        </div>
+      </div>
+    `).join('');
+
+    editor.innerHTML = `
+      ${windows.length === 0 ? `<p class="setting-hint">${escapeHtml(emptyText)}</p>` : rows}
+      <button class="btn btn-secondary btn-small" data-action="add-window">+ Add Window</button>
+    `;
+  };
+
+  editor.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-action]');
+    if (!button) return;
+
+    const index = parseInt(button.dataset.index);
+
+    switch (button.dataset.action) {
+      case 'toggle-day': {
+        const day = parseInt(button.dataset.day);
+        const days = windows[index].days;
+        windows[index].days = days.includes(day)
+          ? days.filter(d => d !== day)
+          : [...days, day].sort();
+        break;
+      }
+
+      case 'remove-window':
+        windows.splice(index, 1);
+        break;
+
+      case 'add-window':
+        windows.push({ days: [1, 2, 3, 4, 5], start: '09:00', end: '18:00' });
+        break;
+    }
+
+    render();
+    onChange();
+  });
+
+  editor.addEventListener('change', (e) => {
+    const index = parseInt(e.target.dataset.index);
+    const field = e.target.dataset.field;
+    if (isNaN(index) || !field) return;
+
+    windows[index][field] = e.target.value;
+    onChange();
+  });
+
+  render();
+  return editor;
 }
 
 /**
@@ -113,9 +536,10 @@ function renderUnlockedSites() {
   
   // Filter to only active unlocks
   const activeUnlocks = Object.entries(unlockTimers)
-    .filter(([domain, timer]) => timer.unlockedUntil > now)
-    .map(([domain, timer]) => ({
-      domain,
+    .filter(([key, timer]) => timer.unlockedUntil > now)
+    .map(([key, timer]) => ({
+      key,
+      domain: timer.domain || key,
       remaining: Math.ceil((timer.unlockedUntil - now) / 1000)
     }));
 
@@ -128,14 +552,20 @@ function renderUnlockedSites() {
   section.classList.remove('hidden');
   container.innerHTML = '';
 
-  activeUnlocks.forEach(({ domain, remaining }) => {
+  activeUnlocks.forEach(({ key, domain, remaining }) => {
+    const name = key === GLOBAL_UNLOCK_KEY
+      ? '🌐 All sites'
+      : `${escapeHtml(domain)}${key.startsWith(TAB_UNLOCK_PREFIX) ? ' <span class="unlock-scope-tag">one tab</span>' : ''}`;
+
     const item = document.createElement('div');
     item.className = 'unlocked-item';
     item.innerHTML = `
-      <span class="unlocked-domain">${escapeHtml(domain)}</span>
-      <span class="unlocked-timer" data-domain="${domain}">
+      <span class="unlocked-domain">${name}</span>
+      <span class="unlocked-timer" data-key="${escapeHtml(key)}">
         ${formatDuration(remaining)}
       </span>
+      <button class="btn-icon extend-unlock" data-key="${escapeHtml(key)}" title="Unlock again to add time">➕</button>
+      <button class="btn-icon lock-now" data-key="${escapeHtml(key)}" title="Lock now">🔒</button>
     `;
     container.appendChild(item);
   });
@@ -147,188 +577,1604 @@ function renderUnlockedSites() {
 function renderUnlockPhrase() {
   const input = document.getElementById('unlock-phrase');
   input.value = settings.unlockPhrase || "i'm a loser";
+  document.getElementById('match-threshold').value = String(settings.phraseMatchThreshold);
+  document.getElementById('anti-cheat').value = settings.antiCheat;
 }
 
 /**
- * Render stats (placeholder - would need actual tracking)
+ * Render the random phrase pool and goals
  */
-function renderStats() {
-  // These would normally come from storage
-  // For now, using placeholder values
-  document.getElementById('blocks-today').textContent = '0';
-  document.getElementById('unlocks-today').textContent = '0';
-  document.getElementById('time-saved').textContent = '0m';
-}
+function renderPhrasePool() {
+  document.getElementById('random-phrase-toggle').checked = settings.randomPhrase;
+  document.getElementById('goals').value = settings.goals.join(', ');
 
-// ============================================================================
-// EVENT HANDLERS
-// ============================================================================
+  const container = document.getElementById('phrase-pool');
+  container.innerHTML = '';
 
-/**
- * Attach all event listeners
- */
-function attachEventListeners() {
-  // Master toggle
-  document.getElementById('master-toggle').addEventListener('change', handleMasterToggle);
+  if (settings.phrasePool.length === 0) {
+    container.innerHTML = '<p class="empty-message">No random phrases</p>';
+    return;
+  }
 
-  // Add site button
-  document.getElementById('add-site-btn').addEventListener('click', handleAddSite);
-  
-  // Add site on Enter key
-  document.getElementById('new-site-input').addEventListener('keypress', (e) => {
-    if (e.key === 'Enter') handleAddSite();
+  settings.phrasePool.forEach((entry, index) => {
+    const bonus = entry.tierBonus > 0
+      ? ` <span class="rule-type">+${entry.tierBonus} tier${entry.tierBonus === 1 ? '' : 's'}</span>`
+      : '';
+    const phraseElement = document.createElement('div');
+    phraseElement.className = 'site-item';
+    phraseElement.innerHTML = `
+      <span class="site-name">${escapeHtml(entry.text)}${bonus}</span>
+      <button class="btn-icon delete-pool-phrase" data-index="${index}" title="Remove phrase">
+         <i class="fa-solid fa-trash"></i>
+      </button>
+    `;
+    container.appendChild(phraseElement);
   });
+}
 
-  // Site list event delegation
-  document.getElementById('sites-list').addEventListener('change', handleSiteToggle);
-  document.getElementById('sites-list').addEventListener('click', handleSiteDelete);
+/**
+ * Render the global unlock methods with the tier each one earns
+ */
+function renderUnlockMethods() {
+  const tiers = [...settings.volumeTiers].sort((a, b) => a.minDb - b.minDb);
+  const container = document.getElementById('unlock-methods');
 
-  // Unlock phrase change
-  document.getElementById('unlock-phrase').addEventListener('change', handlePhraseChange);
+  container.innerHTML = Object.entries(METHOD_LABELS).map(([method, label]) => {
+    const tierSelect = method === 'voice'
+      ? '<span class="setting-hint">by volume</span>'
+      : `<select class="input-field method-tier" data-method="${method}">
+          ${tiers.map((tier, rank) => `
+            <option value="${rank}" ${Math.min(settings.methodTiers[method], tiers.length - 1) === rank ? 'selected' : ''}>
+              ${escapeHtml(`${tier.emoji} ${tier.label}`)}
+            </option>
+          `).join('')}
+        </select>`;
 
-  // Reset stats
-  document.getElementById('reset-stats-btn').addEventListener('click', handleResetStats);
+    return `
+      <div class="unlock-method">
+        <label>
+          <input type="checkbox" data-method="${method}" ${settings.unlockMethods.includes(method) ? 'checked' : ''}>
+          ${label}
+        </label>
+        ${tierSelect}
+      </div>
+    `;
+  }).join('');
+
+  document.getElementById('cooldown-seconds').value = settings.cooldownSeconds;
 }
 
 /**
- * Handle master toggle change
+ * Render the calibrated speaking level
  */
-async function handleMasterToggle(e) {
-  settings.enabled = e.target.checked;
-  await saveSettings();
-  
-  // Update badge or icon based on state
-  updateExtensionIcon();
+function renderCalibration() {
+  const status = document.getElementById('calibration-status');
+
+  status.textContent = settings.calibrationDb === null
+    ? 'Not calibrated: levels depend on your microphone'
+    : `Normal speaking level: ${settings.calibrationDb.toFixed(1)} dBFS`;
+  document.getElementById('reset-calibration-btn').disabled = settings.calibrationDb === null;
 }
 
 /**
- * Handle adding a new site
+ * Render the recognition language and the per-language phrases
  */
-async function handleAddSite() {
-  const input = document.getElementById('new-site-input');
-  let domain = input.value.trim().toLowerCase();
-  
-  if (!domain) return;
-
-  // Clean up the domain
-  domain = domain
-    .replace(/^https?:\/\//, '')  // Remove protocol
-    .replace(/^www\./, '')         // Remove www
-    .replace(/\/.*$/, '');         // Remove path
+function renderLocaleSettings() {
+  const options = LOCALES
+    .map(locale => `<option value="${locale}">${escapeHtml(getLocaleName(locale))}</option>`)
+    .join('');
 
-  // Validate domain format
-  if (!isValidDomain(domain)) {
-    showToast('Invalid domain format', 'error');
-    return;
+  const localeSelect = document.getElementById('recognition-locale');
+  localeSelect.innerHTML = options;
+  if (!LOCALES.includes(settings.locale)) {
+    localeSelect.insertAdjacentHTML('afterbegin',
+      `<option value="${escapeHtml(settings.locale)}">${escapeHtml(getLocaleName(settings.locale))}</option>`);
   }
+  localeSelect.value = settings.locale;
 
-  // Check for duplicates
-  if (settings.blockedSites.some(site => site.domain === domain)) {
-    showToast('Site already in list', 'error');
+  document.getElementById('new-phrase-locale').innerHTML = options;
+
+  const container = document.getElementById('locale-phrases');
+  container.innerHTML = '';
+
+  if (settings.phrases.length === 0) {
+    container.innerHTML = '<p class="empty-message">No other languages</p>';
     return;
   }
 
-  // Add the site
-  settings.blockedSites.push({
-    domain: domain,
-    name: domain.charAt(0).toUpperCase() + domain.slice(1).replace(/\..*/, ''),
-    enabled: true
+  settings.phrases.forEach((entry, index) => {
+    const phraseElement = document.createElement('div');
+    phraseElement.className = 'site-item';
+    phraseElement.innerHTML = `
+      <span class="site-name">${escapeHtml(entry.phrase)} <span class="rule-type">${escapeHtml(getLocaleName(entry.locale))}</span></span>
+      <button class="btn-icon delete-locale-phrase" data-index="${index}" title="Remove phrase">
+         <i class="fa-solid fa-trash"></i>
+      </button>
+    `;
+    container.appendChild(phraseElement);
   });
-
-  await saveSettings();
-  renderSitesList();
-  
-  input.value = '';
-  showToast('Site added', 'success');
 }
 
 /**
- * Handle site toggle change
+ * Render the volume tier editor from the current draft
  */
-async function handleSiteToggle(e) {
-  if (e.target.type !== 'checkbox') return;
+function renderVolumeTiers() {
+  if (tierDraft.length === 0) {
+    tierDraft = settings.volumeTiers.map(tier => ({ ...tier }));
+  }
   
-  const index = parseInt(e.target.dataset.index);
-  if (isNaN(index)) return;
+  const container = document.getElementById('tier-editor');
+  container.innerHTML = '';
 
-  settings.blockedSites[index].enabled = e.target.checked;
-  await saveSettings();
+  tierDraft.forEach((tier, index) => {
+    const row = document.createElement('div');
+    row.className = 'volume-row tier-row';
+    row.innerHTML = `
+      <div class="tier-header">
+        <input type="text" class="tier-input tier-emoji" data-index="${index}" data-field="emoji"
+               value="${escapeHtml(tier.emoji || '')}" maxlength="4">
+        <input type="text" class="tier-input tier-label" data-index="${index}" data-field="label"
+               value="${escapeHtml(tier.label)}" placeholder="Label">
+        <button class="btn-icon" data-action="up" data-index="${index}" title="Move up"
+                ${index === 0 ? 'disabled' : ''}>
+          <i class="fa-solid fa-arrow-up"></i>
+        </button>
+        <button class="btn-icon" data-action="down" data-index="${index}" title="Move down"
+                ${index === tierDraft.length - 1 ? 'disabled' : ''}>
+          <i class="fa-solid fa-arrow-down"></i>
+        </button>
+        <button class="btn-icon" data-action="remove" data-index="${index}" title="Remove tier">
+          <i class="fa-solid fa-trash"></i>
+        </button>
+      </div>
+      <div class="tier-values">
+        <input type="number" class="tier-input tier-number" data-index="${index}" data-field="minDb"
+               value="${tier.minDb}" step="1">
+        <span>to</span>
+        <input type="number" class="tier-input tier-number" data-index="${index}" data-field="maxDb"
+               value="${tier.maxDb}" step="1">
+        <span>dB →</span>
+        <input type="number" class="tier-input tier-number" data-index="${index}" data-field="duration"
+               value="${tier.duration}" min="1" step="1">
+        <span>sec</span>
+        <span class="volume-time">${formatDuration(tier.duration)}</span>
+      </div>
+    `;
+    container.appendChild(row);
+  });
 }
 
 /**
- * Handle site deletion
+ * Render today's stats from the background's roll-up
  */
-async function handleSiteDelete(e) {
-  if (!e.target.classList.contains('delete-site')) return;
+async function renderStats() {
+  const stats = await chrome.runtime.sendMessage({ action: 'getStats' });
 
-  const index = parseInt(e.target.dataset.index);
-  if (isNaN(index)) return;
+  document.getElementById('blocks-today').textContent = stats.blocks;
+  document.getElementById('unlocks-today').textContent = stats.unlocks;
+  document.getElementById('time-saved').textContent = formatTimeSaved(stats.timeSavedSeconds);
+}
 
-  const site = settings.blockedSites[index];
-  
-  if (confirm(`Remove ${site.domain} from blocked list?`)) {
-    settings.blockedSites.splice(index, 1);
-    await saveSettings();
-    renderSitesList();
-    showToast('Site removed', 'success');
-  }
+/**
+ * Render hard block toggle state
+ */
+function renderHardBlock() {
+  document.getElementById('hard-block-toggle').checked = settings.hardBlock;
 }
 
 /**
- * Handle unlock phrase change
+ * Render the pending changes queue
  */
-async function handlePhraseChange(e) {
-  const phrase = e.target.value.trim().toLowerCase();
-  
-  if (phrase.length < 3) {
-    showToast('Phrase must be at least 3 characters', 'error');
-    e.target.value = settings.unlockPhrase;
+function renderPendingChanges() {
+  const section = document.getElementById('pending-section');
+  const container = document.getElementById('pending-list');
+
+  if (pendingChanges.length === 0) {
+    section.classList.add('hidden');
     return;
   }
 
-  settings.unlockPhrase = phrase;
-  await saveSettings();
-  showToast('Phrase updated', 'success');
+  section.classList.remove('hidden');
+  document.getElementById('pending-hint').textContent =
+    `These apply when the wait is over. Say "${getConfirmPhrase()}" to apply one now.`;
+  container.innerHTML = '';
+
+  pendingChanges.forEach(change => {
+    const listening = change.id === confirmingChangeId;
+    const item = document.createElement('div');
+    item.className = 'unlocked-item pending-item';
+    item.innerHTML = `
+      <span class="pending-summary">${escapeHtml(change.summary)}</span>
+      <span class="unlocked-timer pending-timer" data-id="${change.id}">
+        ${formatPendingTime(change.appliesAt)}
+      </span>
+      <button class="btn-icon confirm-pending" data-id="${change.id}" title="Confirm by voice" ${confirmingChangeId ? 'disabled' : ''}>
+        ${listening ? '👂' : '🎙️'}
+      </button>
+      <button class="btn-icon cancel-pending" data-id="${change.id}" title="Cancel change">✕</button>
+    `;
+    container.appendChild(item);
+  });
 }
 
 /**
- * Handle stats reset
+ * Render tamper protection delay
  */
-async function handleResetStats() {
-  if (confirm('Reset all statistics?')) {
-    // Clear stats from storage
-    await chrome.storage.local.set({ stats: {} });
-    renderStats();
-    showToast('Stats reset', 'success');
-  }
+function renderTamperProtection() {
+  document.getElementById('tamper-delay').value = settings.tamperDelayMinutes;
 }
 
-// ============================================================================
-// TIMER UPDATES
-// ============================================================================
-
 /**
- * Start periodic timer updates
+ * Render expiry warnings, warning notifications and the grace period
  */
-function startTimerUpdates() {
-  setInterval(async () => {
-    await loadUnlockTimers();
-    updateTimerDisplays();
-  }, 1000);
+function renderUnlockEndings() {
+  const choices = Object.keys(WARNING_CHOICES).map(Number).sort((a, b) => b - a);
+
+  document.getElementById('expiry-warnings').innerHTML = choices.map(seconds => `
+    <div class="unlock-method">
+      <label>
+        <input type="checkbox" data-seconds="${seconds}" ${settings.expiryWarnings.includes(seconds) ? 'checked' : ''}>
+        ${WARNING_CHOICES[seconds]}
+      </label>
+    </div>
+  `).join('');
+
+  document.getElementById('warning-notifications-toggle').checked = settings.warningNotifications;
+  document.getElementById('grace-period').value = settings.gracePeriodSeconds;
 }
 
 /**
- * Update all timer displays
+ * Render what an unlock lets through
  */
-function updateTimerDisplays() {
-  const now = Date.now();
-  const timerElements = document.querySelectorAll('.unlocked-timer');
+function renderUnlockScope() {
+  document.getElementById('unlock-scope').value = settings.unlockScope;
+}
 
-  timerElements.forEach(el => {
-    const domain = el.dataset.domain;
-    const timer = unlockTimers[domain];
+/**
+ * Render allow-only mode: the block list and categories are unused while it is on
+ */
+function renderAllowOnly() {
+  document.getElementById('allow-only-toggle').checked = settings.allowOnly;
+  document.getElementById('allow-only-hint').classList.toggle('hidden', !settings.allowOnly);
+  document.getElementById('sites-list').classList.toggle('inactive', settings.allowOnly);
+  document.getElementById('categories-list').classList.toggle('inactive', settings.allowOnly);
+  document.getElementById('new-rule-list').value = settings.allowOnly ? 'allow' : 'block';
+}
 
-    if (timer && timer.unlockedUntil > now) {
+/**
+ * Render estimated visit length setting
+ */
+function renderEstimatedVisit() {
+  const input = document.getElementById('estimated-visit');
+  input.value = settings.estimatedVisitMinutes;
+}
+
+// ============================================================================
+// EVENT HANDLERS
+// ============================================================================
+
+/**
+ * Attach all event listeners
+ */
+function attachEventListeners() {
+  // Master toggle
+  document.getElementById('master-toggle').addEventListener('change', handleMasterToggle);
+
+  // Focus session
+  document.getElementById('start-focus-btn').addEventListener('click', handleStartFocus);
+
+  // Pending changes
+  document.getElementById('pending-list').addEventListener('click', handlePendingAction);
+  document.getElementById('unlocked-list').addEventListener('click', handleUnlockedAction);
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message.action === 'pendingChangesChanged') refreshPendingChanges();
+  });
+
+  // Add site button
+  document.getElementById('add-site-btn').addEventListener('click', handleAddSite);
+  
+  // Add site on Enter key
+  document.getElementById('new-site-input').addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') handleAddSite();
+  });
+
+  // Site list event delegation
+  document.getElementById('categories-list').addEventListener('change', handleCategoryToggle);
+  document.getElementById('categories-list').addEventListener('click', handleCategoryClick);
+  document.getElementById('sites-list').addEventListener('change', handleSiteToggle);
+  document.getElementById('sites-list').addEventListener('click', handleSiteDelete);
+  document.getElementById('sites-list').addEventListener('click', handleSiteOptionsClick);
+  document.getElementById('allow-list').addEventListener('click', handleAllowRuleDelete);
+
+  // Placeholder follows the selected rule type
+  document.getElementById('new-rule-type').addEventListener('change', (e) => {
+    document.getElementById('new-site-input').placeholder = RULE_PLACEHOLDERS[e.target.value];
+  });
+
+  // Unlock phrase change
+  document.getElementById('unlock-phrase').addEventListener('change', handlePhraseChange);
+  document.getElementById('match-threshold').addEventListener('change', handleMatchThresholdChange);
+  document.getElementById('anti-cheat').addEventListener('change', handleAntiCheatChange);
+
+  // Random phrases
+  document.getElementById('random-phrase-toggle').addEventListener('change', handleRandomPhraseToggle);
+  document.getElementById('add-pool-phrase-btn').addEventListener('click', handleAddPoolPhrase);
+  document.getElementById('new-pool-phrase').addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') handleAddPoolPhrase();
+  });
+  document.getElementById('phrase-pool').addEventListener('click', handlePoolPhraseDelete);
+  document.getElementById('goals').addEventListener('change', handleGoalsChange);
+
+  // Unlock methods
+  document.getElementById('unlock-methods').addEventListener('change', handleUnlockMethodChange);
+  document.getElementById('cooldown-seconds').addEventListener('change', handleCooldownChange);
+
+  // Languages
+  document.getElementById('recognition-locale').addEventListener('change', handleLocaleChange);
+  document.getElementById('add-locale-phrase-btn').addEventListener('click', handleAddLocalePhrase);
+  document.getElementById('new-locale-phrase').addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') handleAddLocalePhrase();
+  });
+  document.getElementById('locale-phrases').addEventListener('click', handleLocalePhraseDelete);
+
+  // Hard block toggle
+  document.getElementById('hard-block-toggle').addEventListener('change', handleHardBlockToggle);
+
+  // Allow-only mode
+  document.getElementById('allow-only-toggle').addEventListener('change', handleAllowOnlyToggle);
+
+  // Daily budget and escalation
+  document.getElementById('daily-budget').addEventListener('change', handleDailyBudgetChange);
+  document.getElementById('escalation-mode').addEventListener('change', handleEscalationChange);
+
+  // Tamper protection
+  document.getElementById('tamper-delay').addEventListener('change', handleTamperDelayChange);
+
+  // Unlock scope and endings
+  document.getElementById('unlock-scope').addEventListener('change', handleUnlockScopeChange);
+  document.getElementById('expiry-warnings').addEventListener('change', handleExpiryWarningChange);
+  document.getElementById('warning-notifications-toggle').addEventListener('change', handleWarningNotificationsToggle);
+  document.getElementById('grace-period').addEventListener('change', handleGracePeriodChange);
+
+  // Estimated visit length change
+  document.getElementById('estimated-visit').addEventListener('change', handleEstimatedVisitChange);
+
+  // Voice calibration
+  document.getElementById('calibrate-btn').addEventListener('click', handleCalibrate);
+  document.getElementById('reset-calibration-btn').addEventListener('click', handleResetCalibration);
+
+  // Volume tier editor
+  document.getElementById('tier-editor').addEventListener('input', handleTierInput);
+  document.getElementById('tier-editor').addEventListener('click', handleTierAction);
+  document.getElementById('add-tier-btn').addEventListener('click', handleAddTier);
+  document.getElementById('save-tiers-btn').addEventListener('click', handleSaveTiers);
+
+  // Import / export
+  document.getElementById('export-btn').addEventListener('click', handleExport);
+  document.getElementById('import-btn').addEventListener('click', () => {
+    document.getElementById('import-file').click();
+  });
+  document.getElementById('import-file').addEventListener('change', handleImportFile);
+
+  // Reset stats
+  document.getElementById('reset-stats-btn').addEventListener('click', handleResetStats);
+}
+
+/**
+ * Handle master toggle change
+ */
+async function handleMasterToggle(e) {
+  settings.enabled = e.target.checked;
+  const result = await saveSettings();
+
+  if (!result.success) {
+    settings.enabled = !e.target.checked;
+    e.target.checked = settings.enabled;
+    showToast(result.error, 'error');
+    return;
+  }
+  if (showPendingToast(result.pending)) return;
+  
+  // Update badge or icon based on state
+  updateExtensionIcon();
+}
+
+/**
+ * Tell the user which parts of a change wait in the pending queue.
+ * Returns whether anything was held back.
+ */
+function showPendingToast(pending) {
+  if (pending.length === 0) return false;
+
+  const when = formatPendingTime(Math.min(...pending.map(change => change.appliesAt)));
+  const what = pending.length === 1 ? `"${pending[0].summary}"` : `${pending.length} changes`;
+  showToast(`Tamper protection: ${what} will apply in ${when}`, 'info');
+  return true;
+}
+
+/**
+ * Reload everything a pending change can touch once one is applied or cancelled
+ */
+async function refreshPendingChanges() {
+  await loadSettings();
+  await loadPendingChanges();
+  renderMasterToggle();
+  renderPendingChanges();
+  renderSitesList();
+  renderAllowList();
+  renderCategories();
+  renderTamperProtection();
+  renderAllowOnly();
+}
+
+/**
+ * Handle the tamper protection delay being changed
+ */
+async function handleTamperDelayChange(e) {
+  const previous = settings.tamperDelayMinutes;
+  settings.tamperDelayMinutes = parseInt(e.target.value);
+  const result = await saveSettings();
+
+  if (!result.success) {
+    settings.tamperDelayMinutes = previous;
+    renderTamperProtection();
+    showToast(result.error, 'error');
+    return;
+  }
+  if (showPendingToast(result.pending)) return;
+  showToast(settings.tamperDelayMinutes > 0 ? 'Tamper protection updated' : 'Tamper protection off', 'success');
+}
+
+/**
+ * Handle the unlock scope being changed. Running unlocks keep their scope.
+ */
+async function handleUnlockScopeChange(e) {
+  const previous = settings.unlockScope;
+  settings.unlockScope = e.target.value;
+
+  const result = await saveSettings();
+  if (!result.success) {
+    settings.unlockScope = previous;
+    renderUnlockScope();
+    showToast(result.error, 'error');
+    return;
+  }
+  if (showPendingToast(result.pending)) return;
+  showToast('Unlock scope updated', 'success');
+}
+
+/**
+ * Handle an expiry warning being ticked or unticked
+ */
+async function handleExpiryWarningChange(e) {
+  const seconds = parseInt(e.target.dataset.seconds);
+  if (isNaN(seconds)) return;
+
+  const previous = settings.expiryWarnings;
+  settings.expiryWarnings = e.target.checked
+    ? [...previous, seconds]
+    : previous.filter(s => s !== seconds);
+
+  const result = await saveSettings();
+  if (!result.success) {
+    settings.expiryWarnings = previous;
+    renderUnlockEndings();
+    showToast(result.error, 'error');
+    return;
+  }
+  showToast('Expiry warnings updated', 'success');
+}
+
+/**
+ * Handle the warning notifications toggle, asking for the notifications
+ * permission the first time it is turned on
+ */
+async function handleWarningNotificationsToggle(e) {
+  if (e.target.checked) {
+    const granted = await chrome.permissions.request({ permissions: ['notifications'] });
+    if (!granted) {
+      e.target.checked = false;
+      showToast('Notifications were not allowed', 'error');
+      return;
+    }
+  }
+
+  const previous = settings.warningNotifications;
+  settings.warningNotifications = e.target.checked;
+  const result = await saveSettings();
+
+  if (!result.success) {
+    settings.warningNotifications = previous;
+    renderUnlockEndings();
+    showToast(result.error, 'error');
+    return;
+  }
+
+  if (showPendingToast(result.pending)) return;
+  showToast(settings.warningNotifications ? 'Warning notifications on' : 'Warning notifications off', 'success');
+}
+
+/**
+ * Handle the grace period being changed
+ */
+async function handleGracePeriodChange(e) {
+  const previous = settings.gracePeriodSeconds;
+  settings.gracePeriodSeconds = parseInt(e.target.value);
+
+  const result = await saveSettings();
+  if (!result.success) {
+    settings.gracePeriodSeconds = previous;
+    renderUnlockEndings();
+    showToast(result.error, 'error');
+    return;
+  }
+  if (showPendingToast(result.pending)) return;
+  showToast(settings.gracePeriodSeconds > 0 ? 'Grace period updated' : 'Grace period off', 'success');
+}
+
+/**
+ * Handle confirm and cancel buttons on pending changes
+ */
+async function handlePendingAction(e) {
+  const button = e.target.closest('.confirm-pending, .cancel-pending');
+  if (!button || button.disabled) return;
+
+  if (button.classList.contains('confirm-pending')) {
+    confirmPendingByVoice(button.dataset.id);
+    return;
+  }
+
+  await chrome.runtime.sendMessage({ action: 'cancelPendingChange', id: button.dataset.id });
+  await refreshPendingChanges();
+  showToast('Change cancelled', 'success');
+}
+
+/**
+ * Handle lock now / extend buttons on an active unlock
+ */
+async function handleUnlockedAction(e) {
+  const button = e.target.closest('.lock-now, .extend-unlock');
+  if (!button) return;
+
+  const key = button.dataset.key;
+
+  if (button.classList.contains('extend-unlock')) {
+    // The unlock happens in the site's tab, which takes focus and closes the popup
+    const result = await chrome.runtime.sendMessage({ action: 'extendUnlock', key });
+    if (!result.success) showToast(result.error, 'error');
+    return;
+  }
+
+  const timer = unlockTimers[key];
+  const result = await chrome.runtime.sendMessage({ action: 'lockSite', key });
+  await loadUnlockTimers();
+  renderUnlockedSites();
+
+  if (result.success) {
+    showToast(key === GLOBAL_UNLOCK_KEY ? 'All sites locked' : `${timer.domain || key} locked`, 'success');
+  } else {
+    showToast(result.error, 'error');
+  }
+}
+
+/**
+ * Apply a pending change now if the user says the confirmation phrase
+ */
+function confirmPendingByVoice(id) {
+  if (confirmingChangeId) return;
+
+  const phrase = getConfirmPhrase();
+  let port = null;
+
+  const finish = async (error) => {
+    if (!port) return;
+    port.postMessage({ action: 'stop' });
+    port.disconnect();
+    port = null;
+    confirmingChangeId = null;
+    renderPendingChanges();
+    if (error) showToast(error, 'error');
+  };
+
+  const handleResult = async (alternatives) => {
+    const expected = normalizeSpokenText(phrase);
+    if (!alternatives.some(text => normalizeSpokenText(text).includes(expected))) {
+      await finish(`That wasn't "${phrase}". The change stays pending.`);
+      return;
+    }
+
+    await finish();
+    const result = await chrome.runtime.sendMessage({ action: 'confirmPendingChange', id });
+    await refreshPendingChanges();
+    showToast(result.success ? 'Change applied' : result.error, result.success ? 'success' : 'error');
+  };
+
+  confirmingChangeId = id;
+  renderPendingChanges();
+  showToast(`Say "${phrase}"`, 'info');
+
+  port = chrome.runtime.connect({ name: VOICE_PORT_NAME });
+  port.onMessage.addListener((message) => {
+    if (message.action === 'result' && message.isFinal) {
+      handleResult(message.alternatives);
+    } else if (message.action === 'error') {
+      if (message.error === 'not-allowed') {
+        chrome.runtime.sendMessage({ action: 'openMicPermission' });
+      }
+      finish(message.error === 'not-allowed'
+        ? 'Microphone access is needed. Allow it and try again.'
+        : 'Could not use the microphone');
+    } else if (message.action === 'ended') {
+      finish("Didn't catch the phrase. The change stays pending.");
+    }
+  });
+  port.onDisconnect.addListener(() => finish('Voice confirmation was interrupted'));
+  port.postMessage({ action: 'start', lang: settings.locale, confirmChangeId: id });
+}
+
+/**
+ * Phrase that confirms a pending change: the unlock phrase in the recognition language
+ */
+function getConfirmPhrase() {
+  const entry = settings.phrases.find(p => p.locale === settings.locale);
+  return entry ? entry.phrase : settings.unlockPhrase;
+}
+
+/**
+ * Start or extend a focus session
+ */
+async function handleStartFocus() {
+  const minutes = parseInt(document.getElementById('focus-minutes').value);
+  const verb = isFocusing() ? 'Extend the focus session to' : 'Start a focus session for';
+
+  if (!confirm(`${verb} ${minutes} minutes from now? Nothing can be unlocked and blocking can't be turned off until it ends.`)) {
+    return;
+  }
+
+  const result = await chrome.runtime.sendMessage({ action: 'startFocusSession', minutes });
+
+  if (!result.success) {
+    showToast(result.error, 'error');
+    return;
+  }
+
+  focusSession = result.focusSession;
+  await loadUnlockTimers();
+  renderUI();
+  showToast('Focus session started', 'success');
+}
+
+/**
+ * Handle adding a new block or allow rule
+ */
+async function handleAddSite() {
+  const input = document.getElementById('new-site-input');
+  const type = document.getElementById('new-rule-type').value;
+  const list = document.getElementById('new-rule-list').value;
+  const pattern = cleanRulePattern(input.value, type);
+  
+  if (!pattern) return;
+
+  const error = validateRulePattern(pattern, type);
+  if (error) {
+    showToast(error, 'error');
+    return;
+  }
+
+  const rules = list === 'allow' ? settings.allowRules : settings.blockedSites;
+
+  // Check for duplicates
+  if (rules.some(rule => rule.domain === pattern && (rule.type || 'domain') === type)) {
+    showToast(list === 'allow' ? 'Exception already in list' : 'Site already in list', 'error');
+    return;
+  }
+
+  if (list === 'allow') {
+    settings.allowRules.push({ domain: pattern, type, enabled: true });
+  } else {
+    settings.blockedSites.push({
+      domain: pattern,
+      type,
+      name: type === 'domain'
+        ? pattern.charAt(0).toUpperCase() + pattern.slice(1).replace(/\..*/, '')
+        : pattern,
+      enabled: true
+    });
+  }
+
+  const result = await saveSettings();
+  if (!result.success) {
+    rules.pop();
+    showToast(result.error, 'error');
+    return;
+  }
+
+  renderSitesList();
+  renderAllowList();
+  
+  input.value = '';
+  if (showPendingToast(result.pending)) return;
+  showToast(list === 'allow' ? 'Exception added' : 'Site added', 'success');
+}
+
+/**
+ * Normalize user input for a rule type
+ */
+function cleanRulePattern(value, type) {
+  let pattern = value.trim();
+
+  // Regexes are used exactly as typed
+  if (type === 'regex') return pattern;
+
+  pattern = pattern
+    .toLowerCase()
+    .replace(/^https?:\/\//, '')  // Remove protocol
+    .replace(/^www\./, '');        // Remove www
+
+  if (type === 'domain') {
+    pattern = pattern.replace(/\/.*$/, '');  // Remove path
+  }
+
+  return pattern;
+}
+
+/**
+ * Validate a cleaned rule pattern, returning an error message or null
+ */
+function validateRulePattern(pattern, type) {
+  switch (type) {
+    case 'prefix': {
+      const slash = pattern.indexOf('/');
+      if (slash === -1 || !isValidDomain(pattern.slice(0, slash))) {
+        return 'Use domain/path, e.g. youtube.com/shorts';
+      }
+      return null;
+    }
+
+    case 'wildcard':
+      return pattern.includes('*') ? null : 'Wildcard patterns need a *';
+
+    case 'regex':
+      try {
+        new RegExp(pattern);
+        return null;
+      } catch (e) {
+        return 'Invalid regular expression';
+      }
+
+    default:
+      return isValidDomain(pattern) ? null : 'Invalid domain format';
+  }
+}
+
+/**
+ * Handle allow rule deletion
+ */
+async function handleAllowRuleDelete(e) {
+  const button = e.target.closest('.delete-allow-rule');
+  if (!button) return;
+
+  const index = parseInt(button.dataset.index);
+  if (isNaN(index)) return;
+
+  const [removed] = settings.allowRules.splice(index, 1);
+  const result = await saveSettings();
+
+  if (!result.success) {
+    settings.allowRules.splice(index, 0, removed);
+    showToast(result.error, 'error');
+    return;
+  }
+
+  renderAllowList();
+  if (showPendingToast(result.pending)) return;
+  showToast('Exception removed', 'success');
+}
+
+/**
+ * Handle site toggle change
+ */
+async function handleSiteToggle(e) {
+  if (e.target.type !== 'checkbox') return;
+  
+  const index = parseInt(e.target.dataset.index);
+  if (isNaN(index)) return;
+
+  settings.blockedSites[index].enabled = e.target.checked;
+  const result = await saveSettings();
+
+  if (!result.success) {
+    settings.blockedSites[index].enabled = !e.target.checked;
+    e.target.checked = !e.target.checked;
+    showToast(result.error, 'error');
+    return;
+  }
+  showPendingToast(result.pending);
+}
+
+/**
+ * Handle a category being switched on or off
+ */
+async function handleCategoryToggle(e) {
+  const id = e.target.dataset.category;
+  if (!id) return;
+
+  const previous = settings.blockedCategories;
+  const entry = { ...getCategoryEntry(id), enabled: e.target.checked };
+  settings.blockedCategories = [...previous.filter(c => c.id !== id), entry];
+
+  const result = await saveSettings();
+  if (!result.success) {
+    settings.blockedCategories = previous;
+    e.target.checked = !e.target.checked;
+    showToast(result.error, 'error');
+    return;
+  }
+  if (showPendingToast(result.pending)) return;
+
+  renderCategories();
+  showToast(entry.enabled ? 'Category blocked' : 'Category unblocked', 'success');
+}
+
+/**
+ * Open a category's domain list, or toggle an exception inside it
+ */
+async function handleCategoryClick(e) {
+  const openButton = e.target.closest('.category-open');
+  if (openButton) {
+    const id = openButton.dataset.category;
+    openCategoryId = openCategoryId === id ? null : id;
+    renderCategories();
+    return;
+  }
+
+  const chip = e.target.closest('.domain-chip');
+  if (!chip || chip.disabled) return;
+
+  const { category: id, domain } = chip.dataset;
+  const previous = settings.blockedCategories;
+  const entry = getCategoryEntry(id);
+  const exceptions = entry.exceptions.includes(domain)
+    ? entry.exceptions.filter(d => d !== domain)
+    : [...entry.exceptions, domain];
+  settings.blockedCategories = [...previous.filter(c => c.id !== id), { ...entry, exceptions }];
+
+  const result = await saveSettings();
+  if (!result.success) {
+    settings.blockedCategories = previous;
+    showToast(result.error, 'error');
+    return;
+  }
+  if (showPendingToast(result.pending)) return;
+
+  renderCategories();
+}
+
+/**
+ * Handle site deletion
+ */
+async function handleSiteDelete(e) {
+  const button = e.target.closest('.delete-site');
+  if (!button || button.disabled) return;
+
+  const index = parseInt(button.dataset.index);
+  if (isNaN(index)) return;
+
+  const site = settings.blockedSites[index];
+  
+  if (confirm(`Remove ${site.domain} from blocked list?`)) {
+    settings.blockedSites.splice(index, 1);
+    const result = await saveSettings();
+
+    if (!result.success) {
+      settings.blockedSites.splice(index, 0, site);
+      showToast(result.error, 'error');
+      return;
+    }
+    if (showPendingToast(result.pending)) return;
+    optionsSiteIndex = null;
+    renderSitesList();
+    showToast('Site removed', 'success');
+  }
+}
+
+/**
+ * Open or close a site's options panel
+ */
+function handleSiteOptionsClick(e) {
+  const button = e.target.closest('.site-options');
+  if (!button) return;
+
+  const index = parseInt(button.dataset.index);
+  if (isNaN(index)) return;
+
+  optionsSiteIndex = optionsSiteIndex === index ? null : index;
+  renderSitesList();
+}
+
+/**
+ * Handle global daily budget change
+ */
+async function handleDailyBudgetChange(e) {
+  const minutes = parseInt(e.target.value || '0');
+
+  if (isNaN(minutes) || minutes < 0) {
+    showToast('Budget must be 0 or more minutes', 'error');
+    e.target.value = settings.dailyBudgetMinutes;
+    return;
+  }
+
+  const previous = settings.dailyBudgetMinutes;
+  settings.dailyBudgetMinutes = minutes;
+  const result = await saveSettings();
+
+  if (!result.success) {
+    settings.dailyBudgetMinutes = previous;
+    e.target.value = previous;
+    showToast(result.error, 'error');
+    return;
+  }
+  if (showPendingToast(result.pending)) return;
+  showToast(minutes > 0 ? 'Daily budget updated' : 'Daily budget removed', 'success');
+}
+
+/**
+ * Handle escalation mode change
+ */
+async function handleEscalationChange(e) {
+  const previous = settings.escalationMode;
+  settings.escalationMode = e.target.value;
+  const result = await saveSettings();
+
+  if (!result.success) {
+    settings.escalationMode = previous;
+    e.target.value = previous;
+    showToast(result.error, 'error');
+    return;
+  }
+  if (showPendingToast(result.pending)) return;
+  showToast('Escalation updated', 'success');
+}
+
+/**
+ * Save after any schedule edit
+ */
+async function handleScheduleChange() {
+  const result = await saveSettings();
+
+  if (!result.success) {
+    showToast(result.error, 'error');
+    return;
+  }
+  showPendingToast(result.pending);
+}
+
+/**
+ * Handle unlock phrase change
+ */
+async function handlePhraseChange(e) {
+  const phrase = e.target.value.trim().toLowerCase();
+  
+  if (phrase.length < 3) {
+    showToast('Phrase must be at least 3 characters', 'error');
+    e.target.value = settings.unlockPhrase;
+    return;
+  }
+
+  const previous = settings.unlockPhrase;
+  settings.unlockPhrase = phrase;
+  const result = await saveSettings();
+
+  if (!result.success) {
+    settings.unlockPhrase = previous;
+    e.target.value = previous;
+    showToast(result.error, 'error');
+    return;
+  }
+  if (showPendingToast(result.pending)) return;
+  showToast('Phrase updated', 'success');
+}
+
+/**
+ * Record the user's normal speaking level through the offscreen audio pipeline
+ */
+function handleCalibrate() {
+  if (calibrationPort) return;
+
+  const button = document.getElementById('calibrate-btn');
+  const prompt = document.getElementById('calibration-prompt');
+  const samples = [];
+
+  button.disabled = true;
+  prompt.classList.remove('hidden');
+
+  const finish = async (error) => {
+    if (!calibrationPort) return;
+    calibrationPort.postMessage({ action: 'stop' });
+    calibrationPort.disconnect();
+    calibrationPort = null;
+    button.disabled = false;
+    prompt.classList.add('hidden');
+
+    if (error) {
+      showToast(error, 'error');
+      return;
+    }
+
+    if (samples.length < MIN_CALIBRATION_SAMPLES) {
+      showToast("Didn't hear enough speech. Try again a bit closer to the mic.", 'error');
+      return;
+    }
+
+    // Median, so a cough or a pause does not skew the level
+    samples.sort((a, b) => a - b);
+    const previous = settings.calibrationDb;
+    settings.calibrationDb = Math.round(samples[Math.floor(samples.length / 2)] * 10) / 10;
+
+    const result = await saveSettings();
+    if (!result.success) {
+      settings.calibrationDb = previous;
+      renderCalibration();
+      showToast(result.error, 'error');
+      return;
+    }
+    renderCalibration();
+    if (showPendingToast(result.pending)) return;
+    showToast('Voice calibrated', 'success');
+  };
+
+  calibrationPort = chrome.runtime.connect({ name: VOICE_PORT_NAME });
+  calibrationPort.onMessage.addListener((message) => {
+    if (message.action === 'level' && message.speaking) {
+      samples.push(message.db);
+    } else if (message.action === 'error') {
+      if (message.error === 'not-allowed') {
+        chrome.runtime.sendMessage({ action: 'openMicPermission' });
+      }
+      finish(message.error === 'not-allowed'
+        ? 'Microphone access is needed. Allow it and try again.'
+        : 'Could not use the microphone');
+    }
+  });
+  calibrationPort.onDisconnect.addListener(() => finish('Calibration was interrupted'));
+  calibrationPort.postMessage({ action: 'start', recognize: false });
+
+  setTimeout(() => finish(), CALIBRATION_SECONDS * 1000);
+}
+
+/**
+ * Go back to using measured levels as they are
+ */
+async function handleResetCalibration() {
+  const previous = settings.calibrationDb;
+  settings.calibrationDb = null;
+  const result = await saveSettings();
+
+  if (!result.success) {
+    settings.calibrationDb = previous;
+    showToast(result.error, 'error');
+    return;
+  }
+
+  renderCalibration();
+  if (showPendingToast(result.pending)) return;
+  showToast('Calibration reset', 'success');
+}
+
+/**
+ * Handle a global unlock method being switched on or off, or its tier changed
+ */
+async function handleUnlockMethodChange(e) {
+  const method = e.target.dataset.method;
+  if (!method) return;
+
+  const previous = { methods: settings.unlockMethods, tiers: settings.methodTiers };
+
+  if (e.target.type === 'checkbox') {
+    settings.unlockMethods = e.target.checked
+      ? [...settings.unlockMethods, method]
+      : settings.unlockMethods.filter(m => m !== method);
+  } else {
+    settings.methodTiers = { ...settings.methodTiers, [method]: parseInt(e.target.value) };
+  }
+
+  const result = await saveSettings();
+  if (!result.success) {
+    settings.unlockMethods = previous.methods;
+    settings.methodTiers = previous.tiers;
+    renderUnlockMethods();
+    showToast(result.error, 'error');
+    return;
+  }
+  if (showPendingToast(result.pending)) return;
+  showToast('Unlock methods updated', 'success');
+}
+
+/**
+ * Handle cooldown length change
+ */
+async function handleCooldownChange(e) {
+  const previous = settings.cooldownSeconds;
+  settings.cooldownSeconds = parseInt(e.target.value);
+
+  const result = await saveSettings();
+  if (!result.success) {
+    settings.cooldownSeconds = previous;
+    e.target.value = previous;
+    showToast(result.error, 'error');
+    return;
+  }
+  if (showPendingToast(result.pending)) return;
+  showToast('Cooldown updated', 'success');
+}
+
+/**
+ * Handle random phrases toggle
+ */
+async function handleRandomPhraseToggle(e) {
+  settings.randomPhrase = e.target.checked;
+  const result = await saveSettings();
+
+  if (!result.success) {
+    settings.randomPhrase = !e.target.checked;
+    e.target.checked = settings.randomPhrase;
+    showToast(result.error, 'error');
+    return;
+  }
+  if (showPendingToast(result.pending)) return;
+  showToast(settings.randomPhrase ? 'Random phrases enabled' : 'Random phrases disabled', 'success');
+}
+
+/**
+ * Add a phrase to the random pool
+ */
+async function handleAddPoolPhrase() {
+  const input = document.getElementById('new-pool-phrase');
+  const text = input.value.trim().toLowerCase();
+  const tierBonus = parseInt(document.getElementById('new-pool-bonus').value);
+
+  if (text.length < 3) {
+    showToast('Phrase must be at least 3 characters', 'error');
+    return;
+  }
+
+  settings.phrasePool.push({ text, tierBonus });
+  const result = await saveSettings();
+
+  if (!result.success) {
+    settings.phrasePool.pop();
+    showToast(result.error, 'error');
+    return;
+  }
+
+  input.value = '';
+  renderPhrasePool();
+  if (showPendingToast(result.pending)) return;
+  showToast('Phrase added', 'success');
+}
+
+/**
+ * Remove a phrase from the random pool
+ */
+async function handlePoolPhraseDelete(e) {
+  const button = e.target.closest('.delete-pool-phrase');
+  if (!button) return;
+
+  const index = parseInt(button.dataset.index);
+  if (isNaN(index)) return;
+
+  const [removed] = settings.phrasePool.splice(index, 1);
+  const result = await saveSettings();
+
+  if (!result.success) {
+    settings.phrasePool.splice(index, 0, removed);
+    showToast(result.error, 'error');
+    return;
+  }
+
+  renderPhrasePool();
+  if (showPendingToast(result.pending)) return;
+  showToast('Phrase removed', 'success');
+}
+
+/**
+ * Handle goals change (comma-separated)
+ */
+async function handleGoalsChange(e) {
+  const goals = e.target.value
+    .split(',')
+    .map(goal => goal.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (goals.length === 0) {
+    showToast('Add at least one goal', 'error');
+    e.target.value = settings.goals.join(', ');
+    return;
+  }
+
+  const previous = settings.goals;
+  settings.goals = goals;
+  const result = await saveSettings();
+
+  if (!result.success) {
+    settings.goals = previous;
+    e.target.value = previous.join(', ');
+    showToast(result.error, 'error');
+    return;
+  }
+  if (showPendingToast(result.pending)) return;
+  showToast('Goals updated', 'success');
+}
+
+/**
+ * Handle recognition language change
+ */
+async function handleLocaleChange(e) {
+  const previous = settings.locale;
+  settings.locale = e.target.value;
+  const result = await saveSettings();
+
+  if (!result.success) {
+    settings.locale = previous;
+    e.target.value = previous;
+    showToast(result.error, 'error');
+    return;
+  }
+  if (showPendingToast(result.pending)) return;
+  showToast('Language updated', 'success');
+}
+
+/**
+ * Add or replace the phrase for a language
+ */
+async function handleAddLocalePhrase() {
+  const input = document.getElementById('new-locale-phrase');
+  const locale = document.getElementById('new-phrase-locale').value;
+  const phrase = input.value.trim().toLowerCase();
+
+  if (phrase.length < 2) {
+    showToast('Phrase is too short', 'error');
+    return;
+  }
+
+  const previous = settings.phrases;
+  const exists = settings.phrases.some(entry => entry.locale === locale);
+  settings.phrases = exists
+    ? settings.phrases.map(entry => entry.locale === locale ? { locale, phrase } : entry)
+    : [...settings.phrases, { locale, phrase }];
+
+  const result = await saveSettings();
+  if (!result.success) {
+    settings.phrases = previous;
+    renderLocaleSettings();
+    showToast(result.error, 'error');
+    return;
+  }
+
+  input.value = '';
+  renderLocaleSettings();
+  if (showPendingToast(result.pending)) return;
+  showToast(`Phrase added for ${getLocaleName(locale)}`, 'success');
+}
+
+/**
+ * Remove a language's phrase
+ */
+async function handleLocalePhraseDelete(e) {
+  const button = e.target.closest('.delete-locale-phrase');
+  if (!button) return;
+
+  const index = parseInt(button.dataset.index);
+  if (isNaN(index)) return;
+
+  const [removed] = settings.phrases.splice(index, 1);
+  const result = await saveSettings();
+
+  if (!result.success) {
+    settings.phrases.splice(index, 0, removed);
+    showToast(result.error, 'error');
+    return;
+  }
+
+  renderLocaleSettings();
+  if (showPendingToast(result.pending)) return;
+  showToast('Phrase removed', 'success');
+}
+
+/**
+ * Handle phrase match threshold change
+ */
+async function handleMatchThresholdChange(e) {
+  const previous = settings.phraseMatchThreshold;
+  settings.phraseMatchThreshold = parseFloat(e.target.value);
+  const result = await saveSettings();
+
+  if (!result.success) {
+    settings.phraseMatchThreshold = previous;
+    e.target.value = String(previous);
+    showToast(result.error, 'error');
+    return;
+  }
+  if (showPendingToast(result.pending)) return;
+  showToast('Phrase matching updated', 'success');
+}
+
+/**
+ * Handle playback protection change
+ */
+async function handleAntiCheatChange(e) {
+  const previous = settings.antiCheat;
+  settings.antiCheat = e.target.value;
+  const result = await saveSettings();
+
+  if (!result.success) {
+    settings.antiCheat = previous;
+    e.target.value = previous;
+    showToast(result.error, 'error');
+    return;
+  }
+  if (showPendingToast(result.pending)) return;
+  showToast('Playback protection updated', 'success');
+}
+
+/**
+ * Handle hard block toggle change
+ */
+async function handleHardBlockToggle(e) {
+  settings.hardBlock = e.target.checked;
+  const result = await saveSettings();
+
+  if (!result.success) {
+    settings.hardBlock = !e.target.checked;
+    e.target.checked = settings.hardBlock;
+    showToast(result.error, 'error');
+    return;
+  }
+  if (showPendingToast(result.pending)) return;
+  showToast(settings.hardBlock ? 'Hard block enabled' : 'Hard block disabled', 'success');
+}
+
+/**
+ * Handle allow-only mode toggle
+ */
+async function handleAllowOnlyToggle(e) {
+  if (e.target.checked && !confirm('Block every website except your Always Allowed list?')) {
+    e.target.checked = false;
+    return;
+  }
+
+  settings.allowOnly = e.target.checked;
+  const result = await saveSettings();
+
+  if (!result.success) {
+    settings.allowOnly = !e.target.checked;
+    renderAllowOnly();
+    showToast(result.error, 'error');
+    return;
+  }
+  if (showPendingToast(result.pending)) return;
+
+  renderAllowOnly();
+  renderAllowList();
+  showToast(settings.allowOnly ? 'Allow-only mode on' : 'Allow-only mode off', 'success');
+}
+
+/**
+ * Handle estimated visit length change
+ */
+async function handleEstimatedVisitChange(e) {
+  const minutes = parseInt(e.target.value);
+
+  if (isNaN(minutes) || minutes < 1) {
+    showToast('Visit length must be at least 1 minute', 'error');
+    e.target.value = settings.estimatedVisitMinutes;
+    return;
+  }
+
+  const previous = settings.estimatedVisitMinutes;
+  settings.estimatedVisitMinutes = minutes;
+  const result = await saveSettings();
+
+  if (!result.success) {
+    settings.estimatedVisitMinutes = previous;
+    e.target.value = previous;
+    showToast(result.error, 'error');
+    return;
+  }
+
+  await renderStats();
+  if (showPendingToast(result.pending)) return;
+  showToast('Visit length updated', 'success');
+}
+
+/**
+ * Handle edits to a tier field
+ */
+function handleTierInput(e) {
+  const index = parseInt(e.target.dataset.index);
+  const field = e.target.dataset.field;
+  if (isNaN(index) || !field) return;
+
+  const isText = field === 'label' || field === 'emoji';
+  tierDraft[index][field] = isText ? e.target.value : parseFloat(e.target.value);
+}
+
+/**
+ * Handle move up / move down / remove buttons in the tier editor
+ */
+function handleTierAction(e) {
+  const button = e.target.closest('[data-action]');
+  if (!button) return;
+
+  const index = parseInt(button.dataset.index);
+  if (isNaN(index)) return;
+
+  switch (button.dataset.action) {
+    case 'up':
+      if (index === 0) return;
+      [tierDraft[index - 1], tierDraft[index]] = [tierDraft[index], tierDraft[index - 1]];
+      break;
+
+    case 'down':
+      if (index === tierDraft.length - 1) return;
+      [tierDraft[index], tierDraft[index + 1]] = [tierDraft[index + 1], tierDraft[index]];
+      break;
+
+    case 'remove':
+      if (tierDraft.length === 1) {
+        showToast('At least one tier is required', 'error');
+        return;
+      }
+      tierDraft.splice(index, 1);
+      break;
+  }
+
+  renderVolumeTiers();
+}
+
+/**
+ * Append a new tier starting where the loudest tier ends
+ */
+function handleAddTier() {
+  const top = Math.max(...tierDraft.map(tier => tier.maxDb));
+
+  tierDraft.push({
+    minDb: top,
+    maxDb: top + 5,
+    duration: 60,
+    label: 'New tier',
+    emoji: '🔈'
+  });
+
+  renderVolumeTiers();
+}
+
+/**
+ * Save the tier draft (rejected by the background if ranges overlap or leave gaps)
+ */
+async function handleSaveTiers() {
+  const previousTiers = settings.volumeTiers;
+  settings.volumeTiers = tierDraft.map(tier => ({ ...tier }));
+
+  const result = await saveSettings();
+
+  if (!result.success) {
+    settings.volumeTiers = previousTiers;
+    showToast(result.error, 'error');
+    return;
+  }
+
+  renderVolumeTiers();
+  if (showPendingToast(result.pending)) return;
+  showToast('Volume tiers saved', 'success');
+}
+
+/**
+ * Handle stats reset
+ */
+async function handleResetStats() {
+  if (confirm('Reset all statistics?')) {
+    await chrome.runtime.sendMessage({ action: 'resetStats' });
+    await renderStats();
+    showToast('Stats reset', 'success');
+  }
+}
+
+/**
+ * Download the settings (and optionally stats) as a JSON file
+ */
+async function handleExport() {
+  const includeStats = document.getElementById('export-stats-toggle').checked;
+  const data = await chrome.runtime.sendMessage({ action: 'exportData', includeStats });
+
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `distraction-blocker-${data.exportedAt.slice(0, 10)}.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+
+  showToast('Settings exported', 'success');
+}
+
+/**
+ * Import a chosen export file in the selected mode
+ */
+async function handleImportFile(e) {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+
+  const mode = document.getElementById('import-mode').value;
+  let data;
+
+  try {
+    data = JSON.parse(await file.text());
+  } catch (error) {
+    showToast('That file is not valid JSON', 'error');
+    return;
+  }
+
+  if (mode === 'replace' && !confirm(`Replace all your settings with the ones in ${file.name}?`)) {
+    return;
+  }
+
+  const result = await chrome.runtime.sendMessage({ action: 'importData', data, mode });
+  if (!result.success) {
+    showToast(result.error, 'error');
+    return;
+  }
+
+  await loadSettings();
+  await loadPendingChanges();
+  tierDraft = [];
+  optionsSiteIndex = null;
+  renderUI();
+
+  if (showPendingToast(result.pending)) return;
+  showToast(mode === 'merge' ? 'Settings merged' : 'Settings replaced', 'success');
+}
+
+// ============================================================================
+// TIMER UPDATES
+// ============================================================================
+
+/**
+ * Start periodic timer updates
+ */
+function startTimerUpdates() {
+  setInterval(async () => {
+    await loadUnlockTimers();
+    updateTimerDisplays();
+
+    // Unlock the controls again once the focus session is over
+    if (focusSession && !isFocusing()) {
+      focusSession = null;
+      renderMasterToggle();
+      renderSitesList();
+      renderCategories();
+    }
+    renderFocusSession();
+
+    document.querySelectorAll('.pending-timer').forEach(el => {
+      const change = pendingChanges.find(p => p.id === el.dataset.id);
+      if (change) el.textContent = formatPendingTime(change.appliesAt);
+    });
+  }, 1000);
+}
+
+/**
+ * Update all timer displays
+ */
+function updateTimerDisplays() {
+  const now = Date.now();
+  const timerElements = document.querySelectorAll('.unlocked-timer[data-key]');
+
+  timerElements.forEach(el => {
+    const timer = unlockTimers[el.dataset.key];
+
+    if (timer && timer.unlockedUntil > now) {
       const remaining = Math.ceil((timer.unlockedUntil - now) / 1000);
       el.textContent = formatDuration(remaining);
     } else {
@@ -356,6 +2202,47 @@ function formatDuration(seconds) {
   return `${mins}:${secs.toString().padStart(2, '0')}`;
 }
 
+/**
+ * Format the time left until a pending change applies
+ */
+function formatPendingTime(appliesAt) {
+  const remaining = Math.ceil((appliesAt - Date.now()) / 1000);
+  return remaining > 0 ? formatDuration(remaining) : 'now';
+}
+
+/**
+ * Lowercase speech or a phrase and drop punctuation, for comparing the two
+ */
+function normalizeSpokenText(text) {
+  return text
+    .toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .replace(/[^\p{L}\p{N}\s']/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Whether a focus session is running
+ */
+function isFocusing() {
+  return Boolean(focusSession) && focusSession.endsAt > Date.now();
+}
+
+/**
+ * Format seconds as a compact "time saved" value (e.g. 45m, 2h 5m)
+ */
+function formatTimeSaved(seconds) {
+  const totalMins = Math.floor(seconds / 60);
+  const hrs = Math.floor(totalMins / 60);
+  const mins = totalMins % 60;
+
+  if (hrs > 0) {
+    return `${hrs}h ${mins}m`;
+  }
+  return `${mins}m`;
+}
+
 /**
  * Validate domain format
  */
@@ -364,6 +2251,17 @@ function isValidDomain(domain) {
   return domainRegex.test(domain);
 }
 
+/**
+ * Human-readable name of a locale (e.g. "de-DE" -> "German (Germany)")
+ */
+function getLocaleName(locale) {
+  try {
+    return new Intl.DisplayNames([navigator.language], { type: 'language' }).of(locale);
+  } catch (e) {
+    return locale;
+  }
+}
+
 /**
  * Escape HTML special characters
  */